@@ -454,8 +454,11 @@ class DataminrIntegration {
     this.currentUser = null;
     this.currentAlertIds = new Map(); // Map of alertId -> { id, headline, type, alertTimestamp }
     this.lastAlertTimestamp = null; // ISO timestamp of last alert
+    this.lastUpdateTimestamp = null; // ISO timestamp of the last alert update received
     this.maxVisibleTags = 10; // Maximum number of visible alert tags to display
     this.currentFilter = null; // Current alert type filter: null (all), 'Flash', 'Urgent', or 'Alert'
+    this.currentListFilter = null; // Current list filter: null (all) or a list value from getLists
+    this.showWatchedOnly = false; // Only show alerts that mention a watch term
     this.utils = new PolarityUtils();
 
     // Initialize the application
@@ -613,6 +616,53 @@ class DataminrIntegration {
         });
       }
 
+      // Add click handlers for the subscription panel
+      const subscriptionButton = dataminrContainer.querySelector(
+        '.dataminr-subscription-btn'
+      );
+      if (subscriptionButton) {
+        subscriptionButton.addEventListener('click', (e) => {
+          e.stopPropagation(); // Prevent header toggle
+          this.toggleSubscriptionPanel();
+        });
+      }
+      const subscriptionSaveButton = dataminrContainer.querySelector(
+        '.dataminr-subscription-save-btn'
+      );
+      if (subscriptionSaveButton) {
+        subscriptionSaveButton.addEventListener('click', () => {
+          this.saveSubscription(this.readSubscriptionForm());
+        });
+      }
+      const subscriptionResetButton = dataminrContainer.querySelector(
+        '.dataminr-subscription-reset-btn'
+      );
+      if (subscriptionResetButton) {
+        subscriptionResetButton.addEventListener('click', () => {
+          this.saveSubscription(null);
+        });
+      }
+
+      // Add click handler for the watched alerts badge
+      const watchedBadge = dataminrContainer.querySelector('.dataminr-watched-badge');
+      if (watchedBadge) {
+        watchedBadge.addEventListener('click', (e) => {
+          e.stopPropagation(); // Prevent header toggle
+          this.toggleWatchedFilter();
+        });
+      }
+
+      // Add change handler for list filter
+      const listFilterSelect = dataminrContainer.querySelector('.dataminr-list-filter');
+      if (listFilterSelect) {
+        listFilterSelect.addEventListener('click', (e) => {
+          e.stopPropagation(); // Prevent header toggle
+        });
+        listFilterSelect.addEventListener('change', (e) => {
+          this.filterAlertsByList(e.target.value || null);
+        });
+      }
+
       // Set up event delegation for alert type filter buttons
       const alertIconsContainer = dataminrContainer.querySelector(
         '.dataminr-alert-icons-container'
@@ -802,6 +852,9 @@ class DataminrIntegration {
 
         // Update the display with new alerts
         this.updateAlertsDisplay(Array.from(this.currentAlertIds.values()));
+
+        // New alerts may have matched new lists
+        this.loadLists();
       }
     } catch (error) {
       console.error('Error polling alerts:', error);
@@ -845,6 +898,10 @@ class DataminrIntegration {
         // First query: send current timestamp (will return empty array)
         payload.sinceTimestamp = new Date().toISOString();
       }
+      if (this.lastUpdateTimestamp) {
+        // Also get new versions of alerts updated since the last query
+        payload.updatedSinceTimestamp = this.lastUpdateTimestamp;
+      }
 
       const result = await this.sendIntegrationMessage(payload);
 
@@ -862,6 +919,17 @@ class DataminrIntegration {
         this.lastAlertTimestamp = new Date().toISOString();
       }
 
+      if (result && result.lastUpdateTimestamp) {
+        this.lastUpdateTimestamp = result.lastUpdateTimestamp;
+      }
+      if (result && result.updatedAlerts && result.updatedAlerts.length > 0) {
+        this.applyAlertUpdates(result.updatedAlerts);
+      }
+
+      if (result && result.pollingHealth) {
+        this.updatePollingHealth(result.pollingHealth);
+      }
+
       if (result && result.alerts) {
         return result.alerts;
       }
@@ -883,8 +951,9 @@ class DataminrIntegration {
       this.currentAlertIds.clear();
     }
 
-    // Reset the last query timestamp
+    // Reset the last query timestamps
     this.lastAlertTimestamp = null;
+    this.lastUpdateTimestamp = null;
 
     // Update alert count to 0
     this.updateAlertCount(0);
@@ -916,6 +985,71 @@ class DataminrIntegration {
     return alert.alertType && alert.alertType.name ? alert.alertType.name : 'Alert';
   }
 
+  /**
+   * Get the CSS classes for an alert tag (alert type, escalated, watched and updated)
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {string} Space separated CSS class names
+   */
+  getAlertTagClass(alert) {
+    let alertClass = 'dataminr-tag-' + this.normalizeAlertType(this.getAlertType(alert));
+    if (this.isAlertEscalated(alert) || this.isAlertOnOwnInfrastructure(alert)) {
+      alertClass += ' dataminr-tag-escalated';
+    }
+    if (this.isAlertWatched(alert)) alertClass += ' dataminr-tag-watched';
+    if (alert.updated) alertClass += ' dataminr-tag-updated';
+    return alertClass;
+  }
+
+  /**
+   * Get the title for an alert tag
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {string} Tag title (headline, noting when escalated, watched, on our
+   * own infrastructure or updated)
+   */
+  getAlertTagTitle(alert) {
+    const headline = this.getAlertHeadline(alert);
+    const labels = []
+      .concat(this.isAlertEscalated(alert) ? 'Escalated' : [])
+      .concat(this.isAlertWatched(alert) ? 'Watched' : [])
+      .concat(this.isAlertOnOwnInfrastructure(alert) ? 'Own Infrastructure' : [])
+      .concat(alert.updated ? 'Updated' : []);
+    return labels.length > 0 ? `${headline} (${labels.join(', ')})` : headline;
+  }
+
+  /**
+   * Check whether an alert rule escalated an alert
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {boolean} True if the alert was escalated
+   */
+  isAlertEscalated(alert) {
+    return Boolean(alert.ruleEvaluation && alert.ruleEvaluation.escalated);
+  }
+
+  /**
+   * Check whether an alert mentions a watch term
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {boolean} True if the alert is watched
+   */
+  isAlertWatched(alert) {
+    return Array.isArray(alert.watchMatches) && alert.watchMatches.length > 0;
+  }
+
+  /**
+   * Check whether an alert touches our own infrastructure (CIDR ranges or ASNs)
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {boolean} True if the alert has own infrastructure matches
+   */
+  isAlertOnOwnInfrastructure(alert) {
+    return (
+      Array.isArray(alert.infrastructureMatches) && alert.infrastructureMatches.length > 0
+    );
+  }
+
   /**
    * Get alert headline from alert object
    * @private
@@ -956,6 +1090,13 @@ class DataminrIntegration {
    */
   async showDetail(alertId) {
     if (alertId && alertId !== 'remaining') {
+      // Opening an updated alert acknowledges the update
+      const trackedAlert = this.currentAlertIds.get(alertId);
+      if (trackedAlert && trackedAlert.updated) {
+        this.currentAlertIds.set(alertId, { ...trackedAlert, updated: false });
+        this.refreshAlertTag(alertId);
+      }
+
       let detailContainer = qs(`.dataminr-alert-detail[data-alert-id="${alertId}"]`);
 
       // If detail container doesn't exist, create it dynamically
@@ -1160,14 +1301,13 @@ class DataminrIntegration {
     if (!alertsListContainer) return;
 
     // Build and add tag button
-    const alertType = this.getAlertType(alert);
     const headline = this.getAlertHeadline(alert);
-    const alertClass = 'dataminr-tag-' + this.normalizeAlertType(alertType);
+    const alertClass = this.getAlertTagClass(alert);
 
     const tagButton = document.createElement('button');
     tagButton.className = `dataminr-tag ${alertClass}`;
     tagButton.setAttribute('data-alert-id', alertId);
-    tagButton.setAttribute('title', headline);
+    tagButton.setAttribute('title', this.getAlertTagTitle(alert));
     tagButton.innerHTML = `
       <div class="dataminr-alert-tag-text">
         <span class="dataminr-tag-acronym">${htmlEscape(this.userConfig.acronym)}</span> 
@@ -1189,6 +1329,55 @@ class DataminrIntegration {
     // Note: Click handler managed by setupAlertTagDelegation() - no individual listener needed
   }
 
+  /**
+   * Refresh the class and title of a displayed alert tag (e.g. after an update)
+   * @private
+   * @param {string} alertId - Alert ID
+   */
+  refreshAlertTag(alertId) {
+    const alert = this.currentAlertIds.get(alertId);
+    const integrationContainer = this.getIntegrationContainer();
+    if (!alert || !integrationContainer) return;
+    const tagButton = qs(
+      `.dataminr-tag[data-alert-id="${alertId}"]`,
+      integrationContainer
+    );
+    if (!tagButton) return;
+
+    const isActive = tagButton.classList.contains('active');
+    tagButton.className = `dataminr-tag ${this.getAlertTagClass(alert)}${
+      isActive ? ' active' : ''
+    }`;
+    tagButton.setAttribute('title', this.getAlertTagTitle(alert));
+    const headlineElement = qs('.dataminr-tag-headline', tagButton);
+    if (headlineElement) {
+      headlineElement.textContent = this.getAlertHeadline(alert);
+    }
+  }
+
+  /**
+   * Apply new versions of alerts already in the notification panel
+   * Updated alerts flash until their detail is opened. A rendered detail is dropped so
+   * it is rebuilt from the new version (right away if it is currently shown).
+   * @private
+   * @param {Array<Object>} alerts - Updated alert objects from getAlerts
+   */
+  applyAlertUpdates(alerts) {
+    alerts.forEach((alert) => {
+      if (!alert || !this.currentAlertIds.has(alert.alertId)) return;
+      const alertId = alert.alertId;
+      this.processNewAlert(alert, true);
+      this.refreshAlertTag(alertId);
+
+      const detailContainer = qs(`.dataminr-alert-detail[data-alert-id="${alertId}"]`);
+      if (detailContainer) {
+        const isVisible = detailContainer.classList.contains('visible');
+        detailContainer.remove();
+        if (isVisible) this.showDetail(alertId);
+      }
+    });
+  }
+
   /**
    * Mark a single alert as read and remove it from UI
    * @private
@@ -1337,6 +1526,8 @@ class DataminrIntegration {
     const integrationContainer = this.getIntegrationContainer();
     if (!integrationContainer) return;
 
+    this.updateWatchedBadge();
+
     // Update Flash count
     const flashIcon = qs('.dataminr-alert-icon-flash', integrationContainer);
     if (flashIcon) {
@@ -1489,6 +1680,190 @@ class DataminrIntegration {
     this.updateAlertCount();
   }
 
+  /**
+   * Show or hide the subscription panel, loading the saved subscription when shown
+   * @private
+   * @returns {Promise<void>}
+   */
+  async toggleSubscriptionPanel() {
+    const integrationContainer = this.getIntegrationContainer();
+    if (!integrationContainer) return;
+    const panel = qs('.dataminr-subscription-panel', integrationContainer);
+    if (!panel) return;
+
+    const isHidden = panel.style.display === 'none';
+    panel.style.display = isHidden ? 'block' : 'none';
+    if (!isHidden) return;
+
+    try {
+      const result = await this.sendIntegrationMessage({ action: 'getSubscription' });
+      this.fillSubscriptionForm((result && result.subscription) || null);
+    } catch (error) {
+      console.error('Error loading subscription:', error);
+    }
+  }
+
+  /**
+   * Fill the subscription panel form from a subscription
+   * @private
+   * @param {Object|null} subscription - Subscription object, or null for none
+   */
+  fillSubscriptionForm(subscription) {
+    const integrationContainer = this.getIntegrationContainer();
+    if (!integrationContainer) return;
+    const panel = qs('.dataminr-subscription-panel', integrationContainer);
+    if (!panel) return;
+
+    const alertTypes = (subscription && subscription.alertTypes) || [];
+    qsa('input[name="alertTypes"]', panel).forEach((checkbox) => {
+      checkbox.checked = alertTypes.includes(checkbox.value);
+    });
+    qsa('input[type="text"]', panel).forEach((input) => {
+      const values = (subscription && subscription[input.name]) || [];
+      input.value = values.join(', ');
+    });
+  }
+
+  /**
+   * Read a subscription from the subscription panel form
+   * @private
+   * @returns {Object} Subscription object (text fields are comma separated)
+   */
+  readSubscriptionForm() {
+    const integrationContainer = this.getIntegrationContainer();
+    const panel =
+      integrationContainer && qs('.dataminr-subscription-panel', integrationContainer);
+    if (!panel) return {};
+
+    const subscription = {
+      alertTypes: qsa('input[name="alertTypes"]', panel)
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.value)
+    };
+    qsa('input[type="text"]', panel).forEach((input) => {
+      subscription[input.name] = input.value;
+    });
+    return subscription;
+  }
+
+  /**
+   * Save the user's subscription and reload alerts that match it
+   * @private
+   * @param {Object|null} subscription - Subscription object, or null to show all alerts
+   * @returns {Promise<void>}
+   */
+  async saveSubscription(subscription) {
+    try {
+      const result = await this.sendIntegrationMessage({
+        action: 'saveSubscription',
+        subscription
+      });
+      this.fillSubscriptionForm((result && result.subscription) || null);
+
+      // Alerts already shown were filtered with the previous subscription
+      this.clearAllAlerts();
+      await this.loadAlerts(3);
+    } catch (error) {
+      console.error('Error saving subscription:', error);
+    }
+  }
+
+  /**
+   * Toggle showing only alerts that mention a watch term
+   * @private
+   */
+  toggleWatchedFilter() {
+    this.showWatchedOnly = !this.showWatchedOnly;
+    this.updateAlertsDisplay(this.currentAlertIds, false);
+  }
+
+  /**
+   * Update the watched alerts badge in the notification header
+   * @private
+   */
+  updateWatchedBadge() {
+    const integrationContainer = this.getIntegrationContainer();
+    if (!integrationContainer) return;
+    const watchedBadge = qs('.dataminr-watched-badge', integrationContainer);
+    if (!watchedBadge) return;
+
+    const watchedCount = Array.from(this.currentAlertIds.values()).filter((alert) =>
+      this.isAlertWatched(alert)
+    ).length;
+    watchedBadge.textContent = `Watched ${watchedCount}`;
+    watchedBadge.style.display = watchedCount > 0 || this.showWatchedOnly ? '' : 'none';
+    watchedBadge.classList.toggle('active', this.showWatchedOnly);
+  }
+
+  /**
+   * Filter alerts by matched list and update display
+   * @private
+   * @param {string|null} listValue - List value to filter by, or null for all lists
+   */
+  filterAlertsByList(listValue) {
+    this.currentListFilter = listValue;
+
+    // Update display with current alerts and filter
+    this.updateAlertsDisplay(this.currentAlertIds, false);
+  }
+
+  /**
+   * Check whether an alert matched the current list filter
+   * @private
+   * @param {Object} alert - Alert object
+   * @returns {boolean} True if no list filter is active or the alert matched the list
+   */
+  alertMatchesListFilter(alert) {
+    if (!this.currentListFilter) return true;
+    if (!Array.isArray(alert.listsMatched)) return false;
+    return alert.listsMatched.some((list) => {
+      if (!list) return false;
+      const value = list.id !== undefined && list.id !== null ? list.id : list.name;
+      return String(value) === this.currentListFilter;
+    });
+  }
+
+  /**
+   * Load the lists matched by cached alerts and populate the list filter
+   * The filter is hidden when no alert has matched a list.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadLists() {
+    try {
+      const result = await this.sendIntegrationMessage({ action: 'getLists' });
+      const lists = (result && result.lists) || [];
+      const integrationContainer = this.getIntegrationContainer();
+      if (!integrationContainer) return;
+      const listFilterSelect = qs('.dataminr-list-filter', integrationContainer);
+      if (!listFilterSelect) return;
+
+      // Keep the selected list even if it no longer has cached alerts
+      const hasCurrentList = lists.some((list) => list.value === this.currentListFilter);
+      const options =
+        hasCurrentList || !this.currentListFilter
+          ? lists
+          : lists.concat({
+              value: this.currentListFilter,
+              display: this.currentListFilter
+            });
+
+      listFilterSelect.innerHTML =
+        '<option value="">All Lists</option>' +
+        options
+          .map(
+            (list) =>
+              `<option value="${htmlEscape(list.value)}"${
+                list.value === this.currentListFilter ? ' selected' : ''
+              }>${htmlEscape(list.display)}</option>`
+          )
+          .join('');
+      listFilterSelect.style.display = options.length > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+      console.error('Error loading lists:', error);
+    }
+  }
+
   /**
    * Update alerts display in UI
    * @private
@@ -1535,12 +1910,28 @@ class DataminrIntegration {
       });
     }
 
+    // Apply list filter if one is selected
+    if (this.currentListFilter) {
+      alertsArray = alertsArray.filter((alert) => this.alertMatchesListFilter(alert));
+    }
+
+    // Apply watched filter if the watched badge is active
+    if (this.showWatchedOnly) {
+      alertsArray = alertsArray.filter((alert) => this.isAlertWatched(alert));
+    }
+
     // Check if alerts list container exists
     let alertsListContainer = qs('.dataminr-alerts-list', integrationContainer);
 
     // Always rebuild if filtering is active or container doesn't exist or showAll is true
     // This ensures filtered alerts are properly displayed
-    if (!alertsListContainer || showAll || this.currentFilter !== null) {
+    if (
+      !alertsListContainer ||
+      showAll ||
+      this.currentFilter !== null ||
+      this.currentListFilter !== null ||
+      this.showWatchedOnly
+    ) {
       // Save scroll position before removing container
       let savedScrollTop = 0;
       if (alertsListContainer) {
@@ -1558,15 +1949,15 @@ class DataminrIntegration {
       // Build alerts inner HTML - only process first maxToShow
       let alertsHtml = '<div class="dataminr-alerts-list">';
       alertsToShow.forEach((alert) => {
-        const alertType = this.getAlertType(alert);
         const headline = this.getAlertHeadline(alert);
-        const alertClass = 'dataminr-tag-' + this.normalizeAlertType(alertType);
+        const alertClass = this.getAlertTagClass(alert);
         const alertId = alert.alertId || 'alert-' + alertsArray.indexOf(alert);
+        const tagTitle = this.getAlertTagTitle(alert);
 
         alertsHtml += `
           <button class="dataminr-tag ${alertClass}" data-alert-id="${htmlEscape(
           alertId
-        )}" title="${htmlEscape(headline)}">
+        )}" title="${htmlEscape(tagTitle)}">
             <div class="dataminr-alert-tag-text">
               <span class="dataminr-tag-acronym">${htmlEscape(
                 this.userConfig.acronym
@@ -1686,10 +2077,11 @@ class DataminrIntegration {
   }
 
   /**
-   * Get a single alert by ID from the backend API
+   * Get a single alert by ID from the backend (cache, archive or CAL feed)
    * @private
    * @param {string} alertId - Alert ID to fetch
-   * @returns {Promise<Object|null>} Resolves with alert object or null if not found
+   * @returns {Promise<Object|null>} Resolves with the lookup result ({ alert, status,
+   * message }) or null if the request failed
    */
   async getAlertById(alertId) {
     if (!alertId) {
@@ -1703,10 +2095,7 @@ class DataminrIntegration {
         alertId: alertId
       });
 
-      if (response && response.alert) {
-        return response.alert;
-      }
-      return null;
+      return response || null;
     } catch (error) {
       console.error('Error getting alert by ID:', error);
       return null;
@@ -1715,16 +2104,20 @@ class DataminrIntegration {
 
   /**
    * Look up alert by ID from URL parameter and log to console
+   * The lookup is repeated (up to 3 attempts) when the backend asks to try again because
+   * its CAL feed search is busy.
    * @private
+   * @param {number} [attempt=1] - Lookup attempt
    */
-  async lookupAlertFromUrl() {
+  async lookupAlertFromUrl(attempt = 1) {
     const alertId = this.getUrlParameter('alert') || this.getUrlParameter('alertId');
     if (!alertId) {
       return;
     }
 
     try {
-      const alert = await this.getAlertById(alertId);
+      const result = await this.getAlertById(alertId);
+      const alert = result && result.alert;
 
       if (alert) {
         console.log(
@@ -1763,6 +2156,11 @@ class DataminrIntegration {
 
           this.showDetail(alertId);
         }, 100);
+      } else if (result && result.status === 'expired') {
+        console.log('Alert has expired with ID:', alertId, result.alertTimestamp || '');
+      } else if (result && result.status === 'tryAgain' && attempt < 3) {
+        console.log('Alert search is busy, retrying lookup of alert ID:', alertId);
+        setTimeout(() => this.lookupAlertFromUrl(attempt + 1), result.retryAfterMs || 1000);
       } else {
         console.log('Alert not found with ID:', alertId);
       }
@@ -1776,6 +2174,8 @@ class DataminrIntegration {
    * @private
    */
   startPolling() {
+    this.loadLists();
+
     // Poll immediately
     const countParam = this.getUrlParameter('alertCount');
     const count = countParam ? parseInt(countParam, 10) : 3;
@@ -1813,6 +2213,21 @@ class DataminrIntegration {
     }
   }
 
+  /**
+   * Show the server polling health on the "no alerts" icon
+   * (e.g. "Waiting for configuration" until the Instance Id and API Key are set)
+   * @private
+   * @param {Object} pollingHealth - Health object with status and message properties
+   */
+  updatePollingHealth(pollingHealth) {
+    const noneIcon = byId('dataminr-alert-icon-none');
+    if (!noneIcon) return;
+    const title =
+      pollingHealth.status === 'healthy' ? 'Waiting for Alerts' : pollingHealth.message;
+    noneIcon.title = title;
+    noneIcon.setAttribute('aria-label', title);
+  }
+
   /**
    * Hide polling error message
    * @private
@@ -3160,6 +3575,8 @@ class DataminrIntegration {
    * Process a new alert: add to cache and IDs map
    * @private
    * @param {Object} alert - Alert object
+   * @param {boolean} [poll] - True when the alert came from polling (flags new versions
+   * of alerts already shown as updated)
    */
   processNewAlert(alert, poll = false) {
     if (!alert) return;
@@ -3167,12 +3584,28 @@ class DataminrIntegration {
     const alertId = alert.alertId;
     if (!alertId) return;
 
+    // A polled alert with a higher version than the one shown is flagged as updated
+    // (until its detail is opened)
+    const previousAlert = this.currentAlertIds.get(alertId);
+    const version = alert.version || 1;
+    const updated = Boolean(
+      previousAlert &&
+        (previousAlert.updated || (poll && version > (previousAlert.version || 1)))
+    );
+
     // Add to lightweight IDs map
     this.currentAlertIds.set(alertId, {
       alertId: alert.alertId,
       headline: alert.headline,
       alertType: alert.alertType,
-      alertTimestamp: alert.alertTimestamp
+      alertTimestamp: alert.alertTimestamp,
+      listsMatched: alert.listsMatched,
+      ruleEvaluation: alert.ruleEvaluation,
+      watchMatches: alert.watchMatches,
+      infrastructureMatches: alert.infrastructureMatches,
+      version,
+      updatedAt: alert.updatedAt,
+      updated
     });
   }
 }
@@ -1,15 +1,86 @@
+const path = require('path');
+
 module.exports = {
   LISTS_POLL_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes in milliseconds
   CACHE_MAX_AGE_MS: 72 * 60 * 60 * 1000, // 72 hours in milliseconds
   CACHE_MAX_ITEMS: 100, // When cache exceeds this, oldest items are evicted (FIFO)
+  ARCHIVE_RETENTION_DAYS: 30, // Days alerts are kept in the on-disk archive searched by lookups
+  ARCHIVE_PRUNE_INTERVAL_MS: 60 * 60 * 1000, // 1 hour between removals of expired archive days
+  EXPIRED_ALERTS_MAX_ITEMS: 10000, // Expired alertIds remembered to tell "expired" from "not found"
+  ALERT_MAX_VERSIONS: 20, // Version history entries kept per updated alert
   DEFAULT_PAGE_SIZE: 40, // Default page size for alerts
+  ZIP_MAX_COMPRESSED_BYTES: 100 * 1024 * 1024, // 100 MB max download size
+  ZIP_MAX_UNCOMPRESSED_BYTES: 500 * 1024 * 1024, // 500 MB max total uncompressed size (zip-bomb protection)
+  ZIP_MAX_ENTRIES: 1000, // Max number of entries in a downloaded zip
+  ALERT_BATCH_SIZE: 100, // Alerts handed to processAlerts per batch while extracting
+  FEED_LOOKUP_MIN_INTERVAL_MS: 60 * 1000, // Least time between CAL feed searches of getAlertById
+  FEED_LOOKUP_MISS_TTL_MS: 15 * 60 * 1000, // How long an alertId missing from the feed is not searched again
+  FEED_LOOKUP_HIT_TTL_MS: 15 * 60 * 1000, // How long an alert found in the feed is kept for its detail view
+  REQUEST_TIMEOUT_MS: 2 * 60 * 1000, // Connect and socket idle timeout of CAL requests (timeouts are retried)
+  DEFAULT_RETRY_POLICY: {
+    maxRetries: 3, // Retries after the first attempt
+    baseDelayMs: 2 * 1000, // First backoff delay (doubles each retry, with jitter)
+    maxDelayMs: 60 * 1000 // Longest backoff or Retry-After we are willing to wait
+  },
+  BACKFILL_RETRY_BASE_DELAY_MS: 5 * 60 * 1000, // Wait before retrying a failed backfill (doubles each failure)
+  BACKFILL_RETRY_MAX_DELAY_MS: 6 * 60 * 60 * 1000, // Longest wait between backfill retries
   STATE_KEY: 'pollingState',
   ALERTS_KEY: 'alerts',
   ALERTS_MAP_KEY: 'alertsMap',
+  ALERTS_INDEX_KEY: 'alertsIndex',
+  SUBSCRIPTIONS_KEY: 'subscriptions',
+  EXPIRED_ALERTS_KEY: 'expiredAlerts',
   LISTS_KEY: 'lists',
+  STATE_FILE_PATH: path.join(__dirname, 'data', 'state.json'), // Persisted alert cache and polling cursor
+  PERSIST_DELAY_MS: 5 * 1000, // Cache updates within this window are written to disk together
+  ARCHIVE_DIR_PATH: path.join(__dirname, 'data', 'archive'), // Alert archive (one JSONL file per day)
   ROUTE_PREFIX: 'pulse',
   DEFAULT_ALERT_TYPES_TO_WATCH: ['flash', 'urgent'],
+  ALLOWED_ALERT_TYPES: ['flash', 'urgent', 'alert'],
+  // Entity types searched in doLookup (matched case-insensitively against entity.types)
+  LOOKUP_ENTITY_TYPES: [
+    'IPv4',
+    'IPv6',
+    'domain',
+    'url',
+    'hash',
+    'MD5',
+    'SHA1',
+    'SHA256',
+    'cve',
+    'custom.threatActor',
+    'custom.malware'
+  ],
+  // Bounds for admin-configurable options (validated in validateOptions)
+  OPTION_BOUNDS: {
+    pollIntervalMinutes: { min: 1, max: 60 },
+    cacheMaxAgeHours: { min: 1, max: 720 },
+    cacheMaxItems: { min: 10, max: 10000 },
+    archiveRetentionDays: { min: 0, max: 365 },
+    maxDownloadSizeMb: { min: 1, max: 1024 },
+    maxUncompressedSizeMb: { min: 1, max: 4096 },
+    maxZipEntries: { min: 1, max: 100000 }
+  },
+  // Outcomes of a getAlertById lookup reported to the client
+  ALERT_LOOKUP_STATUS: {
+    FOUND: 'found',
+    NOT_FOUND: 'notFound',
+    EXPIRED: 'expired',
+    TRY_AGAIN: 'tryAgain' // The feed search was skipped; retry after retryAfterMs
+  },
+  // Server polling health states reported to the client
+  POLLING_HEALTH: {
+    WAITING_FOR_CONFIGURATION: 'waitingForConfiguration',
+    STARTING: 'starting',
+    HEALTHY: 'healthy',
+    ERROR: 'error'
+  },
   TRIAL_MODE: true,
   POLL_INTERVAL_MS: 360 * 1000, // 6 minutes in milliseconds
-  CAL_API_URL: 'https://cal.threatconnect.com/helix/publications/v1/download?since=0&owner=70001'
+  CREDENTIAL_PROBE_SINCE: 999999999, // `since` cursor beyond any published entry (no alert data is returned)
+  CREDENTIAL_PROBE_TIMEOUT_MS: 15 * 1000, // Timeout for the credential check in validateOptions
+  CLOCK_SKEW_TOLERANCE_MS: 5 * 60 * 1000, // Max difference from the CAL server clock before reporting skew
+  DEFAULT_CAL_URL: 'https://cal.threatconnect.com', // Default CAL base URL (overridable via the `url` option)
+  DEFAULT_CAL_OWNER: '70001', // Default CAL publication owner (overridable via the `owner` option)
+  CAL_DOWNLOAD_PATH: '/helix/publications/v1/download'
 };
\ No newline at end of file
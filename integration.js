@@ -1,23 +1,56 @@
+const { get, mapValues } = require('lodash/fp');
 const {
   logging: { setLogger },
   errors: { parseErrorToReadableJson }
 } = require('polarity-integration-utils');
 
-const { validateOptions } = require('./server/userOptions');
+const { validateOptions: validateUserOptions } = require('./server/userOptions');
 const {
   pollAlerts,
-  resetPollingState,
-  getAlertById
+  getAlertById,
+  findCachedAlertsForEntity,
+  refreshLists
 } = require('./server/alerts');
 const {
   getCachedAlerts,
   getLatestAlertTimestamp,
+  getUpdatedAlerts,
+  getLatestUpdateTimestamp,
   getCachedLists,
   addAlertsToCache,
   getPollingState,
-  updatePollingState
+  updatePollingState,
+  resetPollingState,
+  setPersistenceStore,
+  setAlertArchive,
+  pruneArchive,
+  restoreCache,
+  flushPersistedCache,
+  getUserSubscription,
+  setUserSubscription
 } = require('./server/alerts/stateManager');
+const {
+  normalizeSubscription,
+  createSubscriptionFilter
+} = require('./server/alerts/subscriptions');
+const {
+  applyAlertRules,
+  isAlertEscalated,
+  isAlertMatchedByRule,
+  isAlertRoutedTo
+} = require('./server/alerts/alertRules');
+const { applyWatchTerms, isAlertWatched } = require('./server/alerts/watchTerms');
+const {
+  applyOwnInfrastructure,
+  isAlertOnOwnInfrastructure,
+  isOwnInfrastructureIp
+} = require('./server/alerts/ownInfrastructure');
+const { removePrivateIps, getEntityTypes } = require('./server/dataTransformations');
+const { createJsonFileStore } = require('./server/alerts/persistence');
+const { createAlertArchive } = require('./server/alerts/archive');
+const { backfillAlerts } = require('./server/alerts/backfillAlerts');
 const { getAlerts } = require('./server/alerts/getAlerts');
+const assembleLookupResults = require('./server/assembleLookupResults');
 const { setLogger: setRequestLogger } = require('./server/request');
 const {
   renderAlertDetail,
@@ -25,25 +58,162 @@ const {
 } = require('./server/templateRenderer');
 
 const {
-  DEFAULT_ALERT_TYPES_TO_WATCH,
-  POLL_INTERVAL_MS
+  getAlertTypesToWatch,
+  getPollIntervalMs
+} = require('./server/userOptions/settings');
+
+const {
+  STATE_FILE_PATH,
+  ARCHIVE_DIR_PATH,
+  POLLING_HEALTH,
+  ALERT_LOOKUP_STATUS,
+  LISTS_POLL_INTERVAL_MS,
+  ARCHIVE_PRUNE_INTERVAL_MS,
+  LOOKUP_ENTITY_TYPES
 } = require('./constants');
 
 let Logger = null;
-let alertPollingInterval = null;
+let alertPollingTimeout = null;
+let listsPollingInterval = null;
+let archivePruneInterval = null;
 let pollingInitialized = false;
+// Latest options seen by the integration; the poller always reads from these
+let pollingOptions = null;
+let currentPollIntervalMs = null;
+// Connection options the running poller was started with (see getPollingConnectionKey)
+let pollingConnectionKey = null;
+// Time polling was (re)started; polls from before this time don't count towards health
+let pollingStartedAt = null;
 
 // Cache for alert type filters (per user configuration)
 const alertTypeFilterCache = new Map();
 
+/**
+ * Schedule the next server poll using the polling interval from the latest options
+ * The timer is re-armed once each poll completes so polls never overlap and interval
+ * changes apply without a restart.
+ * @returns {void}
+ */
+const scheduleNextPoll = () => {
+  if (alertPollingTimeout) {
+    clearTimeout(alertPollingTimeout);
+  }
+
+  currentPollIntervalMs = getPollIntervalMs(pollingOptions);
+  alertPollingTimeout = setTimeout(async () => {
+    try {
+      await pollAlerts(pollingOptions);
+    } catch (error) {
+      Logger.error({ error }, 'Error in polling interval');
+    }
+    // Failed backfills are retried once their backoff has passed
+    backfillAlerts(pollingOptions);
+    // Polling may have been stopped while the poll was running
+    if (pollingInitialized) scheduleNextPoll();
+  }, currentPollIntervalMs);
+};
+
+/**
+ * Get a key describing the CAL connection options used by the poller
+ * Polling is restarted when this key changes (e.g. after the API key is rotated).
+ * @param {Object} options - Configuration options
+ * @returns {string} Connection key
+ */
+const getPollingConnectionKey = (options) =>
+  JSON.stringify([options.url, options.owner, options.clientId, options.clientSecret]);
+
+/**
+ * Get a key describing the CAL feed (base URL and owner) the `since` cursor belongs to
+ * @param {Object} options - Configuration options
+ * @returns {string} Feed key
+ */
+const getPollingFeedKey = (options) => JSON.stringify([options.url, options.owner]);
+
+/**
+ * Stop the running poller so it can be started again with new options
+ * @returns {void}
+ */
+const stopPolling = () => {
+  if (alertPollingTimeout) {
+    clearTimeout(alertPollingTimeout);
+    alertPollingTimeout = null;
+  }
+  pollingInitialized = false;
+  pollingConnectionKey = null;
+  pollingStartedAt = null;
+  currentPollIntervalMs = null;
+};
+
+/**
+ * Get the health of the server poller
+ * @returns {Object} Health object
+ * @returns {string} returns.status - One of POLLING_HEALTH
+ * @returns {string} returns.message - Human readable description of the status
+ * @returns {number|null} returns.lastPollTime - epoch milliseconds timestamp of last poll
+ * @returns {Object|null} returns.backfill - Last backfill status (see getPollingState)
+ */
+const getPollingHealth = () => {
+  const { lastPollTime, lastPollError, backfill } = getPollingState();
+
+  if (!pollingInitialized) {
+    return {
+      status: POLLING_HEALTH.WAITING_FOR_CONFIGURATION,
+      message:
+        'Waiting for configuration. Set the Instance Id and API Key to collect alerts.',
+      lastPollTime,
+      backfill
+    };
+  }
+
+  if (!lastPollTime || lastPollTime < pollingStartedAt) {
+    return {
+      status: POLLING_HEALTH.STARTING,
+      message: 'Starting to poll for alerts',
+      lastPollTime,
+      backfill
+    };
+  }
+
+  return lastPollError
+    ? { status: POLLING_HEALTH.ERROR, message: lastPollError, lastPollTime, backfill }
+    : {
+        status: POLLING_HEALTH.HEALTHY,
+        message: 'Polling for alerts',
+        lastPollTime,
+        backfill
+      };
+};
+
 /**
  * Initialize polling for alerts
+ * Once polling is running, later calls refresh the options used by the poller and
+ * reschedule the next poll if the polling interval changed. If the connection options
+ * (CAL URL, owner, Instance Id or API Key) changed, polling is restarted with the new
+ * options; the `since` cursor is kept unless the CAL URL or owner changed.
+ * A backfill is started whenever the admin sets a new backfill cursor.
  * @param {Object} options - Configuration options containing clientId, clientSecret
  * @returns {Promise<void>} Resolves when polling is initialized
  */
 const initializePolling = async (options) => {
   if (pollingInitialized) {
-    return;
+    if (getPollingConnectionKey(options) !== pollingConnectionKey) {
+      const feedChanged =
+        getPollingFeedKey(options) !== getPollingFeedKey(pollingOptions);
+      stopPolling();
+      if (feedChanged) {
+        resetPollingState();
+      }
+      Logger.info({ feedChanged }, 'Polling options changed, restarting polling');
+    } else {
+      pollingOptions = options;
+      const pollIntervalMs = getPollIntervalMs(options);
+      if (pollIntervalMs !== currentPollIntervalMs) {
+        scheduleNextPoll();
+        Logger.info({ pollIntervalMs }, 'Polling interval changed');
+      }
+      backfillAlerts(options);
+      return;
+    }
   }
 
   // Validate that required options are present
@@ -53,25 +223,58 @@ const initializePolling = async (options) => {
     return;
   }
 
-  // Reset polling state on first initialization
-  resetPollingState();
-  pollAlerts(options);
+  pollingOptions = options;
+  pollingConnectionKey = getPollingConnectionKey(options);
+  pollingStartedAt = Date.now();
 
-  alertPollingInterval = setInterval(async () => {
-    try {
-      pollAlerts(options);
-    } catch (error) {
-      Logger.error({ error }, 'Error in polling interval');
-    }
-  }, POLL_INTERVAL_MS);
+  // Polling resumes from the persisted `since` cursor restored in startup
+  pollAlerts(pollingOptions).catch((error) => {
+    Logger.error({ error }, 'Error in initial poll');
+  });
+  scheduleNextPoll();
+  backfillAlerts(pollingOptions);
 
   pollingInitialized = true;
 
-  Logger.info({ pollIntervalMs: POLL_INTERVAL_MS }, 'Polling started');
+  Logger.info({ pollIntervalMs: currentPollIntervalMs }, 'Polling started');
+};
+
+/**
+ * Validate integration options and start polling once valid options are saved
+ * @param {Object} options - Options object to validate ({ key: { value } })
+ * @param {Function} callback - Callback function (error, validationErrors)
+ * @returns {Promise<void>} Resolves when validation is complete
+ */
+const validateOptions = async (options, callback) =>
+  validateUserOptions(options, (error, validationErrors) => {
+    if (!error && Array.isArray(validationErrors) && validationErrors.length === 0) {
+      initializePolling(mapValues(get('value'), options));
+    }
+    callback(error, validationErrors);
+  });
+
+/**
+ * Get the entities to search for alerts
+ * Only supported entity types are searched. Private IPs are dropped unless they are part
+ * of our own infrastructure.
+ * @param {Array<Object>} entities - Array of entity objects
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>} Entities to search
+ */
+const getLookupEntities = (entities, options) => {
+  const supportedEntities = getEntityTypes(LOOKUP_ENTITY_TYPES, entities);
+  const publicEntities = removePrivateIps(supportedEntities);
+  return supportedEntities.filter(
+    (entity) =>
+      publicEntities.includes(entity) ||
+      (entity.isIP && isOwnInfrastructureIp(entity.value, options))
+  );
 };
 
 /**
  * Perform Pulse lookup for entities and return matching alerts
+ * Entities that are not searched (unsupported types, private IPs outside our own
+ * infrastructure) are answered with a result without data, like entities without alerts.
  * @param {Array<Object>} entities - Array of entity objects to search for
  * @param {Object} options - Configuration options
  * @param {Function} cb - Callback function (error, results)
@@ -79,16 +282,30 @@ const initializePolling = async (options) => {
  */
 const doLookup = async (entities, options, cb) => {
   try {
-    Logger.debug({ entities }, 'Entities');
+    // Start polling, or restart it if the connection options changed
+    initializePolling(options);
 
-    const lookupResults = entities.map((entity) => {
-      return {
-        entity,
-        data: null
-      };
-    });
+    const lookupEntities = getLookupEntities(entities, options);
+    Logger.debug({ entities, lookupEntities }, 'Entities');
+
+    const alertsByEntity = lookupEntities.map((entity) => ({
+      resultId: entity.value,
+      result: findCachedAlertsForEntity(entity, undefined, options)
+    }));
+
+    const lookupResults = await assembleLookupResults(
+      lookupEntities,
+      alertsByEntity,
+      options
+    );
+
+    const skippedResults = entities
+      .filter((entity) => !lookupEntities.includes(entity))
+      .map((entity) => ({ entity, data: null }));
 
-    cb(null, lookupResults);
+    Logger.trace({ lookupResults, skippedResults }, 'Lookup Results');
+
+    cb(null, lookupResults.concat(skippedResults));
   } catch (error) {
     const err = parseErrorToReadableJson(error);
 
@@ -97,6 +314,23 @@ const doLookup = async (entities, options, cb) => {
   }
 };
 
+/**
+ * Flag an alert fetched from the CAL feed like polled alerts and cache it
+ * Suppressed alerts are still returned since they were asked for by ID; they are not
+ * cached.
+ * @param {Object} alert - Alert found by getAlertById in the CAL feed
+ * @param {Object} options - Configuration options
+ * @returns {Object} Flagged alert
+ */
+const cacheFetchedAlert = (alert, options) => {
+  const { alerts: routedAlerts, suppressed } = applyAlertRules(
+    applyOwnInfrastructure(applyWatchTerms([alert], options), options),
+    options
+  );
+  addAlertsToCache(routedAlerts, options);
+  return routedAlerts[0] || suppressed[0] || alert;
+};
+
 /**
  * Initialize the integration on startup
  * @param {Object} logger - Logger instance for logging
@@ -110,7 +344,38 @@ const startup = async (logger) => {
   setRequestLogger(Logger);
 
   Logger.warn('Dataminr integration starting up');
-  // Polling will be initialized on first doLookup call when options are available
+
+  // Restore alerts and the polling cursor saved before the last restart
+  setPersistenceStore(createJsonFileStore(STATE_FILE_PATH));
+  restoreCache();
+
+  // Alerts evicted from the cache stay searchable in the on-disk archive
+  const alertArchive = createAlertArchive(ARCHIVE_DIR_PATH);
+  const archivedAlerts = alertArchive.load();
+  setAlertArchive(alertArchive);
+  Logger.info({ archivedAlerts }, 'Loaded alert archive');
+
+  // Expired archive days are removed periodically; the retention period comes from the
+  // options, so nothing is removed until options have been seen
+  archivePruneInterval = setInterval(() => {
+    if (!pollingOptions) return;
+    const prunedAlerts = pruneArchive(pollingOptions);
+    if (prunedAlerts > 0) Logger.info({ prunedAlerts }, 'Pruned expired alert archive days');
+  }, ARCHIVE_PRUNE_INTERVAL_MS);
+
+  // Lists are derived from the cached alerts, so they can be refreshed without options
+  refreshLists();
+  listsPollingInterval = setInterval(() => {
+    try {
+      refreshLists();
+    } catch (error) {
+      Logger.error({ error }, 'Error in lists polling interval');
+    }
+  }, LISTS_POLL_INTERVAL_MS);
+
+  // Options are not available at startup; polling starts as soon as valid options are
+  // seen by validateOptions, doLookup or onMessage
+  Logger.info(getPollingHealth(), 'Waiting for configuration before polling for alerts');
 };
 
 /**
@@ -118,54 +383,43 @@ const startup = async (logger) => {
  * @returns {void}
  */
 const shutdown = () => {
-  if (alertPollingInterval) {
-    clearInterval(alertPollingInterval);
-    alertPollingInterval = null;
-  }
+  const wasPolling = pollingInitialized;
+  stopPolling();
   if (listsPollingInterval) {
     clearInterval(listsPollingInterval);
     listsPollingInterval = null;
   }
-  if (pollingInitialized) {
-    pollingInitialized = false;
+  if (archivePruneInterval) {
+    clearInterval(archivePruneInterval);
+    archivePruneInterval = null;
+  }
+  flushPersistedCache();
+  if (wasPolling) {
     Logger.info('Polling stopped');
   }
 };
 
 /**
  * Create a filter function for alert types based on configuration
+ * Alerts matched by an alert rule, watched or touching our own infrastructure pass
+ * whatever their type.
  * @param {Object} options - Configuration options
  * @returns {Function} Filter function that returns true if alert should be included
  */
 const createAlertTypeFilter = (options) => {
-  // Create cache key from alert types configuration
-  const alertTypesToWatch = DEFAULT_ALERT_TYPES_TO_WATCH;
-  
+  // Alert types from the live options, normalized to lowercase
+  const alertTypesToWatch = getAlertTypesToWatch(options);
+
   // Create stable cache key (JSON string of sorted array)
-  const cacheKey = JSON.stringify(
-    alertTypesToWatch.map(t => (t && typeof t === 'object' && t.value) ? t.value : t).sort()
-  );
-  
+  const cacheKey = JSON.stringify([...alertTypesToWatch].sort());
+
   // Return cached filter if exists
   if (alertTypeFilterCache.has(cacheKey)) {
     return alertTypeFilterCache.get(cacheKey);
   }
 
-  // Normalize to lowercase for comparison
-  // Handle both string arrays and object arrays with {value, display} structure
-  const normalizedAlertTypesToWatch = alertTypesToWatch.map((type) => {
-    // If it's an object with a value property, use that
-    if (type && typeof type === 'object' && type.value) {
-      return typeof type.value === 'string'
-        ? type.value.toLowerCase()
-        : String(type.value).toLowerCase();
-    }
-    // Otherwise treat as string
-    return typeof type === 'string' ? type.toLowerCase() : String(type).toLowerCase();
-  });
-  
   // Convert to Set for O(1) lookup
-  const alertTypesSet = new Set(normalizedAlertTypesToWatch);
+  const alertTypesSet = new Set(alertTypesToWatch);
 
   // Return filter function that checks if alert type should be included
   const filterFn = (alert) => {
@@ -176,20 +430,26 @@ const createAlertTypeFilter = (options) => {
       alert.alertType && alert.alertType.name
         ? alert.alertType.name.toLowerCase()
         : 'alert';
-    return alertTypesSet.has(alertTypeName);
+    return (
+      alertTypesSet.has(alertTypeName) ||
+      isAlertMatchedByRule(alert) ||
+      isAlertWatched(alert) ||
+      isAlertOnOwnInfrastructure(alert)
+    );
   };
-  
+
   // Cache the filter function
   alertTypeFilterCache.set(cacheKey, filterFn);
-  
+
   return filterFn;
 };
 
 /**
  * Handle incoming messages from the client
  * @param {Object} payload - Message payload containing action and other data
- * @param {string} payload.action - Action to perform ('getAlerts', 'getAlertById')
+ * @param {string} payload.action - Action to perform ('getAlerts', 'getAlertById', ...)
  * @param {string} payload.sinceTimestamp - Optional ISO timestamp to filter alerts (returns alerts after this timestamp)
+ * @param {string} payload.updatedSinceTimestamp - Optional ISO timestamp of the last alert update the client has seen (returns alerts updated after it)
  * @param {number} payload.count - Optional number of alerts to return (overrides timestamp on first query)
  * @param {string} payload.alertId - Optional alert ID to get
  * @param {Object} options - Configuration options
@@ -198,7 +458,7 @@ const createAlertTypeFilter = (options) => {
  */
 const onMessage = async (payload, options, cb) => {
   try {
-    // Initialize polling on first message if not already initialized
+    // Start polling, or restart it if the connection options changed
     initializePolling(options);
 
     const { action } = payload;
@@ -212,10 +472,12 @@ const onMessage = async (payload, options, cb) => {
     switch (action) {
       case 'getAlerts':
         // Extract parameters from payload
-        const { sinceTimestamp, count: countParam } = payload;
+        const { sinceTimestamp, updatedSinceTimestamp, count: countParam } = payload;
 
         // Use the latest alert timestamp for filtering consistency
         const lastAlertTimestamp = getLatestAlertTimestamp() || new Date().toISOString();
+        const lastUpdateTimestamp =
+          getLatestUpdateTimestamp() || updatedSinceTimestamp || new Date().toISOString();
 
         // Parse count parameter (from URL or payload)
         const alertCount = countParam != null ? parseInt(countParam, 10) : null;
@@ -229,10 +491,24 @@ const onMessage = async (payload, options, cb) => {
         // Create alert type filter function
         const alertTypeFilter = createAlertTypeFilter(options);
 
+        // Apply the user's subscription on top of the admin alert type filter
+        // (alerts escalated by a rule, routed to the user, watched or touching our own
+        // infrastructure are always shown)
+        const subscriptionFilter = createSubscriptionFilter(
+          getUserSubscription(username)
+        );
+        const alertFilter = (alert) =>
+          alertTypeFilter(alert) &&
+          (subscriptionFilter(alert) ||
+            isAlertEscalated(alert) ||
+            isAlertRoutedTo(alert, username) ||
+            isAlertWatched(alert) ||
+            isAlertOnOwnInfrastructure(alert));
+
         try {
           const cachedAlerts = getCachedAlerts(alertFilterTimestamp);
-          // Filter cached alerts by alert type
-          let alerts = cachedAlerts.filter(alertTypeFilter);
+          // Filter cached alerts by alert type and subscription
+          let alerts = cachedAlerts.filter(alertFilter);
 
           // Check if we need to query API (only if count is requested and cache doesn't have enough)
           if (alertCount && alerts.length < alertCount) {
@@ -240,7 +516,16 @@ const onMessage = async (payload, options, cb) => {
               const state = getPollingState();
               const since = state.lastSince ?? 0;
               // Query API for alerts (count overrides timestamp for initial query)
-              const { alerts: apiAlerts, maxSince } = await getAlerts({ ...options, since });
+              const { alerts: fetchedAlerts, maxSince } = await getAlerts({
+                ...options,
+                since
+              });
+              // Flag watched and own infrastructure alerts, tag, escalate and route
+              // alerts and drop suppressed ones
+              const { alerts: apiAlerts } = applyAlertRules(
+                applyOwnInfrastructure(applyWatchTerms(fetchedAlerts, options), options),
+                options
+              );
 
               if (maxSince !== undefined && maxSince !== null) {
                 updatePollingState({ lastSince: maxSince });
@@ -248,16 +533,16 @@ const onMessage = async (payload, options, cb) => {
 
               // Cache the fetched alerts for future lookups
               if (apiAlerts && apiAlerts.length > 0) {
-                addAlertsToCache(apiAlerts);
+                addAlertsToCache(apiAlerts, options);
                 Logger.debug(
                   { alertCount: apiAlerts.length },
                   'Cached alerts from alertCount query'
                 );
               }
 
-              // Filter API alerts by alert type
+              // Filter API alerts by alert type and subscription
               // Note: Since we currently filter by alert type after getAlerts, we could have less than the requested count
-              alerts = apiAlerts.filter(alertTypeFilter);
+              alerts = apiAlerts.filter(alertFilter);
             } catch (apiError) {
               const errorStatus =
                 apiError?.status || apiError?.statusCode || apiError?.meta?.statusCode;
@@ -277,10 +562,21 @@ const onMessage = async (payload, options, cb) => {
             alerts = alerts.slice(0, alertCount);
           }
 
+          // New versions of alerts the client already received
+          const alertIds = new Set(alerts.map((alert) => alert.alertId));
+          const updatedAlerts = updatedSinceTimestamp
+            ? getUpdatedAlerts(updatedSinceTimestamp).filter(
+                (alert) => !alertIds.has(alert.alertId) && alertFilter(alert)
+              )
+            : [];
+
           cb(null, {
             alerts: alerts,
+            updatedAlerts: updatedAlerts,
             count: alerts.length,
-            lastAlertTimestamp: lastAlertTimestamp
+            lastAlertTimestamp: lastAlertTimestamp,
+            lastUpdateTimestamp: lastUpdateTimestamp,
+            pollingHealth: getPollingHealth()
           });
         } catch (error) {
           const err = parseErrorToReadableJson(error);
@@ -297,25 +593,49 @@ const onMessage = async (payload, options, cb) => {
         break;
 
       case 'getAlertById':
-        // Get a single alert by ID from the API
+        // Get a single alert by ID from the cache, the archive or the CAL feed
         const { alertId: requestedAlertId } = payload;
         if (!requestedAlertId) {
           return cb({ detail: 'Missing alertId in payload' });
         }
 
-        getAlertById(requestedAlertId)
-          .then((alert) => {
-            if (alert) {
-              // Cache the fetched alert for future lookups
-              addAlertsToCache([alert]);
+        getAlertById(requestedAlertId, options)
+          .then(({ alert, status, source, alertTimestamp, retryAfterMs }) => {
+            if (alert && source === 'api') {
+              const flaggedAlert = cacheFetchedAlert(alert, options);
               Logger.debug(
                 { alertId: requestedAlertId },
                 'Retrieved and cached alert by ID from API'
               );
-              cb(null, { alert });
+              cb(null, { alert: flaggedAlert, status, source });
+            } else if (alert) {
+              Logger.debug(
+                { alertId: requestedAlertId, source },
+                'Retrieved alert by ID'
+              );
+              cb(null, { alert, status, source });
+            } else if (status === ALERT_LOOKUP_STATUS.EXPIRED) {
+              Logger.warn({ alertId: requestedAlertId, alertTimestamp }, 'Alert expired');
+              cb(null, {
+                alert: null,
+                status,
+                alertTimestamp,
+                message: 'Alert has expired and is no longer available'
+              });
+            } else if (status === ALERT_LOOKUP_STATUS.TRY_AGAIN) {
+              Logger.debug(
+                { alertId: requestedAlertId, retryAfterMs },
+                'Alert lookup deferred'
+              );
+              cb(null, {
+                alert: null,
+                status,
+                retryAfterMs,
+                message: 'Alert search is busy, try again shortly'
+              });
             } else {
-              Logger.warn({ alertId: requestedAlertId }, 'Alert not found in API');
-              cb(null, { alert: null, message: 'Alert not found' });
+              Logger.warn({ alertId: requestedAlertId }, 'Alert not found');
+              cb(null, { alert: null, status, message: 'Alert not found' });
             }
           })
           .catch((error) => {
@@ -333,7 +653,7 @@ const onMessage = async (payload, options, cb) => {
 
       case 'renderAlertDetail':
         // Render alert detail HTML using handlebars template
-        // Fetch alert from backend cache (or API if not cached) and render
+        // Fetch alert from backend cache (or archive or CAL feed if evicted) and render
         const { alertId: renderAlertId, timezone: renderTimezone } = payload;
         if (!renderAlertId) {
           return cb({ detail: 'Missing alertId in payload' });
@@ -343,14 +663,20 @@ const onMessage = async (payload, options, cb) => {
           ? Object.assign({}, options, { timezone: renderTimezone })
           : options;
 
-        getAlertById(renderAlertId)
-          .then(async (alert) => {
+        getAlertById(renderAlertId, options)
+          .then(async ({ alert, status, source, retryAfterMs }) => {
             if (!alert) {
-              Logger.warn({ alertId: renderAlertId }, 'Alert not found when rendering detail');
-              return cb(null, { html: '' });
+              Logger.warn(
+                { alertId: renderAlertId, status },
+                'Alert not found when rendering detail'
+              );
+              return cb(null, { html: '', status, retryAfterMs });
             }
 
-            const renderedHtml = await renderAlertDetail(alert, renderOptionsWithTimezone);
+            const renderedHtml = await renderAlertDetail(
+              source === 'api' ? cacheFetchedAlert(alert, options) : alert,
+              renderOptionsWithTimezone
+            );
             Logger.debug(
               { alertId: renderAlertId },
               'Rendered alert detail template'
@@ -389,6 +715,22 @@ const onMessage = async (payload, options, cb) => {
         }
         break;
 
+      case 'getSubscription':
+        cb(null, { subscription: getUserSubscription(username) });
+        break;
+
+      case 'saveSubscription':
+        // Save the user's subscription (null or an empty subscription removes it)
+        const subscription = normalizeSubscription(payload.subscription);
+        setUserSubscription(username, subscription);
+        Logger.debug({ username, subscription }, 'Saved alert subscription');
+        cb(null, { subscription });
+        break;
+
+      case 'getPollingHealth':
+        cb(null, { pollingHealth: getPollingHealth() });
+        break;
+
       case 'getLists':
         // Get lists from cache
         const cachedLists = getCachedLists();
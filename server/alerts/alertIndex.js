@@ -0,0 +1,247 @@
+const { parseIpAddress, normalizeIpAddress } = require('../ipAddress');
+const {
+  refang,
+  normalizeDomain,
+  getDomainHierarchy,
+  getUrlHostname,
+  hasUrlForm,
+  normalizeUrl
+} = require('../webAddress');
+const { getAlertThreats } = require('./threatProfiles');
+const { detectHashAlgorithm, getAlertHashes } = require('./hashes');
+
+/** Entity types that have an inverted index (value -> Set of alertIds) */
+const INDEX_TYPES = ['ip', 'domain', 'url', 'hash', 'cve', 'threatActor', 'malware'];
+
+const CVE_REGEX = /^cve-\d{4}-\d{4,}$/i;
+
+// Separators between the words of a headline, and punctuation around an indicator
+const HEADLINE_SEPARATOR_REGEX = /[\s"'<>,;|]+/;
+const TOKEN_PUNCTUATION_REGEX = /^[([{*]+|[.:!?)\]}*]+$/g;
+
+/**
+ * Normalize an index value (trimmed, lowercase)
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized value, or empty string for non-strings
+ */
+const normalizeIndexValue = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+/**
+ * Normalize a value for an index type
+ * IP addresses are normalized so IPv6 representations and IPv4-mapped addresses compare
+ * equal; domains and URLs are refanged so defanged indicators match.
+ * @param {string} type - Index type (one of INDEX_TYPES)
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized value, or empty string if the value is not valid
+ */
+const normalizeIndexKey = (type, value) => {
+  if (typeof value !== 'string') return '';
+  if (type === 'ip') return normalizeIpAddress(refang(value));
+  if (type === 'domain') return normalizeDomain(value) || '';
+  if (type === 'url') return normalizeUrl(value) || '';
+  return normalizeIndexValue(value);
+};
+
+/**
+ * Create an empty index with one Map per entity type
+ * @returns {Object<string, Map<string, Set<string>>>} Empty index
+ */
+const createAlertIndex = () =>
+  INDEX_TYPES.reduce((agg, type) => ({ ...agg, [type]: new Map() }), {});
+
+/**
+ * Classify a free-text value (e.g. a reference term) into an index type
+ * Only values with a scheme or a path are URLs, so plain words are not indexed.
+ * @param {string} value - Normalized (refanged, lowercase) value
+ * @returns {string|null} Index type or null if the value is not an indicator
+ */
+const classifyValue = (value) => {
+  if (!value) return null;
+  if (CVE_REGEX.test(value)) return 'cve';
+  if (parseIpAddress(value)) return 'ip';
+  if (detectHashAlgorithm(value)) return 'hash';
+  if (normalizeDomain(value)) return 'domain';
+  if (hasUrlForm(value) && normalizeUrl(value)) return 'url';
+  return null;
+};
+
+/**
+ * Get the reference term strings of an alert (strings or objects with text property)
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>} Reference term strings
+ */
+const getReferenceTerms = (alert) =>
+  Array.isArray(alert.alertReferenceTerms)
+    ? alert.alertReferenceTerms.map((term) =>
+        term && typeof term === 'object' ? term.text || term.name || term.value : term
+      )
+    : [];
+
+/**
+ * Get the names and aliases of discovered entities from current intel agents
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>} Array of discovered entity names and aliases
+ */
+const getDiscoveredEntityValues = (alert) => {
+  if (!Array.isArray(alert.intelAgents)) return [];
+  return alert.intelAgents.reduce((agg, agent) => {
+    if (agent.version !== 'current' || !Array.isArray(agent.discoveredEntities)) {
+      return agg;
+    }
+    agent.discoveredEntities.forEach((entity) => {
+      if (!entity) return;
+      agg.push(entity.name);
+      if (Array.isArray(entity.aliases)) agg.push(...entity.aliases);
+    });
+    return agg;
+  }, []);
+};
+
+/**
+ * Split a headline into the words that may be indicators
+ * Surrounding punctuation is dropped and a port is removed from `host:port` words, so
+ * `(1.2.3.4:443).` yields `1.2.3.4`. Words that are no indicator are filtered out when
+ * the terms are classified.
+ * @param {*} headline - Alert headline
+ * @returns {Array<string>} Candidate indicator words
+ */
+const getHeadlineTokens = (headline) => {
+  if (typeof headline !== 'string') return [];
+  return headline.split(HEADLINE_SEPARATOR_REGEX).reduce((agg, word) => {
+    const token = word.replace(TOKEN_PUNCTUATION_REGEX, '');
+    if (!token) return agg;
+    agg.push(token);
+    const host = token.replace(/^([^/:]+):\d+$/, '$1');
+    if (host !== token) agg.push(host);
+    return agg;
+  }, []);
+};
+
+/**
+ * Derive the index keys for an alert from its cyber metadata, reference terms, intel agent
+ * discovered entities and the indicators mentioned in its headline
+ * @param {Object} alert - Alert object
+ * @returns {Object<string, Set<string>>} Normalized values keyed by index type
+ */
+const getIndexKeysForAlert = (alert) => {
+  const keys = INDEX_TYPES.reduce((agg, type) => ({ ...agg, [type]: new Set() }), {});
+  const addKey = (type, value) => {
+    const normalized = normalizeIndexKey(type, value);
+    if (type && normalized) keys[type].add(normalized);
+  };
+  const each = (items, fn) =>
+    Array.isArray(items) && items.forEach((item) => item && fn(item));
+  // Hosts are indexed under their parent domains so domain lookups find subdomains
+  const addHost = (hostname) => {
+    if (parseIpAddress(hostname)) addKey('ip', hostname);
+    else getDomainHierarchy(hostname).forEach((domain) => addKey('domain', domain));
+  };
+  const addUrl = (url) => {
+    addKey('url', url);
+    addHost(getUrlHostname(url));
+  };
+
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  each(cyber.addresses, (address) => addKey('ip', address.ip));
+  each(cyber.URL, (url) => addUrl(url.name));
+  each(cyber.vulnerabilities, (vuln) => addKey('cve', vuln.id));
+
+  // Hashes are indexed from the hash metadata and intel agent discovered entities
+  getAlertHashes(alert).forEach((hash) => addKey('hash', hash.value));
+
+  // Threat actors and malware are indexed by name and alias (cyber metadata and intel
+  // agent discovered entities)
+  getAlertThreats(alert).forEach((threat) => {
+    [threat.name].concat(threat.aliases).forEach((name) => addKey(threat.kind, name));
+  });
+
+  // Free-text values are indexed under the type they look like, so lookups find the
+  // indicators named in headlines without scanning the cache
+  const addTerm = (term) => {
+    const normalized = normalizeIndexValue(refang(term));
+    const type = classifyValue(normalized);
+    if (type === 'domain') addHost(normalized);
+    else if (type === 'url') addUrl(normalized);
+    else addKey(type, normalized);
+  };
+  getReferenceTerms(alert).forEach(addTerm);
+  getDiscoveredEntityValues(alert).forEach(addTerm);
+  getHeadlineTokens(alert.headline).forEach(addTerm);
+
+  return keys;
+};
+
+/**
+ * Add an alert to the index
+ * @param {Object} index - Index created by createAlertIndex
+ * @param {Object} alert - Alert object (alerts without alertId are not indexed)
+ * @returns {void}
+ */
+const addAlertToIndex = (index, alert) => {
+  if (!alert || !alert.alertId) return;
+  const keys = getIndexKeysForAlert(alert);
+  INDEX_TYPES.forEach((type) => {
+    keys[type].forEach((value) => {
+      if (!index[type].has(value)) index[type].set(value, new Set());
+      index[type].get(value).add(alert.alertId);
+    });
+  });
+};
+
+/**
+ * Remove an alert from the index, dropping values that no longer reference any alert
+ * @param {Object} index - Index created by createAlertIndex
+ * @param {Object} alert - Alert object previously added to the index
+ * @returns {void}
+ */
+const removeAlertFromIndex = (index, alert) => {
+  if (!alert || !alert.alertId) return;
+  const keys = getIndexKeysForAlert(alert);
+  INDEX_TYPES.forEach((type) => {
+    keys[type].forEach((value) => {
+      const alertIds = index[type].get(value);
+      if (!alertIds) return;
+      alertIds.delete(alert.alertId);
+      if (alertIds.size === 0) index[type].delete(value);
+    });
+  });
+};
+
+/**
+ * Get the alertIds indexed under a value (O(1))
+ * @param {Object} index - Index created by createAlertIndex
+ * @param {string} type - Index type (one of INDEX_TYPES)
+ * @param {string} value - Value to look up (normalized before lookup)
+ * @returns {Array<string>} Matching alertIds
+ */
+const getAlertIdsFromIndex = (index, type, value) => {
+  if (!index || !index[type]) return [];
+  const alertIds = index[type].get(normalizeIndexKey(type, value));
+  return alertIds ? Array.from(alertIds) : [];
+};
+
+/**
+ * Get the index type to use for a Polarity entity
+ * @param {Object} entity - Entity object (isIP, isDomain, isURL, isHash, value, ...)
+ * @returns {string|null} Index type, or null if the entity has no index
+ */
+const getIndexTypeForEntity = (entity) => {
+  if (!entity) return null;
+  if (entity.isIP) return 'ip';
+  if (entity.isHash) return 'hash';
+  if (entity.isDomain) return 'domain';
+  if (entity.isURL) return 'url';
+  if (CVE_REGEX.test(normalizeIndexValue(entity.value))) return 'cve';
+  return null;
+};
+
+module.exports = {
+  INDEX_TYPES,
+  createAlertIndex,
+  addAlertToIndex,
+  removeAlertFromIndex,
+  getAlertIdsFromIndex,
+  getIndexTypeForEntity,
+  getDiscoveredEntityValues
+};
@@ -0,0 +1,207 @@
+const { DEFAULT_PAGE_SIZE } = require('../../constants');
+const { getCachedAlerts, getAlertsByIndex } = require('./stateManager');
+const { getIndexTypeForEntity, getDiscoveredEntityValues } = require('./alertIndex');
+const { findOwnInfrastructureAlerts } = require('./ownInfrastructure');
+const { normalizeIpAddress } = require('../ipAddress');
+const { refang } = require('../webAddress');
+
+/**
+ * Normalize a value for case-insensitive comparison
+ * Defanged indicators are refanged and IP addresses are normalized so IPv6
+ * representations compare equal.
+ * @param {*} value - Value to normalize
+ * @returns {string} Trimmed, lowercased string (empty string for non-strings)
+ */
+const normalizeValue = (value) =>
+  typeof value === 'string' ? normalizeIpAddress(refang(value)) : '';
+
+/**
+ * Get the text of alert reference terms
+ * Pulse API uses strings, First Alert API uses objects with text property
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>} Array of reference term strings
+ */
+const getReferenceTermValues = (alert) => {
+  if (!Array.isArray(alert.alertReferenceTerms)) return [];
+  return alert.alertReferenceTerms.map((term) =>
+    term && typeof term === 'object' ? term.text || term.name || term.value : term
+  );
+};
+
+/**
+ * Get values from the cyber metadata that must match an entity exactly
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>} Array of IPs, hashes, CVE ids, malware and threat actor names
+ */
+const getCyberExactValues = (alert) => {
+  const cyber = alert.metadata && alert.metadata.cyber;
+  if (!cyber) return [];
+  const pluck = (items, property) =>
+    Array.isArray(items) ? items.map((item) => item && item[property]) : [];
+
+  return [].concat(
+    pluck(cyber.addresses, 'ip'),
+    pluck(cyber.hashValues, 'value'),
+    pluck(cyber.vulnerabilities, 'id'),
+    pluck(cyber.malware, 'name'),
+    pluck(cyber.threatActors, 'name')
+  );
+};
+
+/**
+ * Get URLs from the cyber metadata (matched by token so hosts and paths find their URLs)
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>} Array of URL strings
+ */
+const getCyberUrlValues = (alert) => {
+  const cyber = alert.metadata && alert.metadata.cyber;
+  if (!cyber || !Array.isArray(cyber.URL)) return [];
+  return cyber.URL.map((url) => url && url.name);
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create a regex finding a value as a whole token of a longer text
+ * The value may not be preceded or followed by a word character, or by a `.` (or a `:`
+ * for values containing colons, such as IPv6 addresses) that joins it to one. So
+ * `1.2.3.4` does not match `11.2.3.45` or `1.2.3.4.5`, while `1.2.3.4:443` and a trailing
+ * full stop still match.
+ * @param {string} value - Normalized value
+ * @returns {RegExp} Token regex
+ */
+const createTokenRegex = (value) => {
+  const joiners = value.includes(':') ? '[.:]' : '\\.';
+  return new RegExp(`(?<!\\w|\\w${joiners})${escapeRegExp(value)}(?!\\w|${joiners}\\w)`);
+};
+
+/**
+ * Create a check whether an alert mentions the given entity value
+ * Matches headline text, cyber metadata (addresses, URL, hashValues, vulnerabilities,
+ * malware, threatActors), alert reference terms and intel agent discovered entities.
+ * Headlines and URLs match when they contain the value as a whole token. The token regex
+ * is compiled once, so the check can be run against every alert of a scan.
+ * @param {string} entityValue - Normalized (lowercase) entity value
+ * @returns {Function} Function taking an alert and returning true if it mentions the entity
+ */
+const createAlertMatcher = (entityValue) => {
+  if (!entityValue) return () => false;
+
+  const tokenRegex = createTokenRegex(entityValue);
+  const isExactMatch = (value) => normalizeValue(value) === entityValue;
+  const isPartialMatch = (value) => tokenRegex.test(normalizeValue(value));
+
+  return (alert) =>
+    Boolean(alert) &&
+    (isPartialMatch(alert.headline) ||
+      getCyberExactValues(alert).some(isExactMatch) ||
+      getCyberUrlValues(alert).some(isPartialMatch) ||
+      getReferenceTermValues(alert).some(isExactMatch) ||
+      getDiscoveredEntityValues(alert).some(isExactMatch));
+};
+
+/**
+ * Find cached alerts that mention an entity
+ * @param {Object} entity - Entity object with value property
+ * @param {Array<Object>} alerts - Alerts to search (sorted newest first)
+ * @param {number} [limit=DEFAULT_PAGE_SIZE] - Maximum number of alerts to return
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const findAlertsForEntity = (entity, alerts, limit = DEFAULT_PAGE_SIZE) => {
+  const entityValue = normalizeValue(entity && entity.value);
+  if (!entityValue || !Array.isArray(alerts)) return [];
+
+  const alertMatchesValue = createAlertMatcher(entityValue);
+  const matchingAlerts = [];
+  for (const alert of alerts) {
+    if (alertMatchesValue(alert)) {
+      matchingAlerts.push(alert);
+      if (matchingAlerts.length >= limit) break;
+    }
+  }
+  return matchingAlerts;
+};
+
+/**
+ * Merge two lists of alerts, dropping alerts of the second list already in the first
+ * @param {Array<Object>} alerts - Alerts
+ * @param {Array<Object>} moreAlerts - Alerts to add
+ * @returns {Array<Object>} Merged alerts (newest first)
+ */
+const mergeAlerts = (alerts, moreAlerts) => {
+  if (moreAlerts.length === 0) return alerts;
+  if (alerts.length === 0) return moreAlerts;
+
+  const alertIds = new Set(alerts.map((alert) => alert.alertId));
+  return alerts
+    .concat(moreAlerts.filter((alert) => !alertIds.has(alert.alertId)))
+    .sort((a, b) => {
+      const timeA = a.alertTimestamp ? new Date(a.alertTimestamp).getTime() : 0;
+      const timeB = b.alertTimestamp ? new Date(b.alertTimestamp).getTime() : 0;
+      return timeB - timeA;
+    });
+};
+
+/**
+ * Find cached and archived alerts that name a threat actor or malware (by name or alias)
+ * @param {string} name - Threat actor or malware name
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const findCachedThreatAlerts = (name) =>
+  mergeAlerts(getAlertsByIndex('threatActor', name), getAlertsByIndex('malware', name));
+
+/**
+ * Find cached alerts for an entity, using the entity indexes where possible
+ * IPs, domains, URLs, hashes and CVEs are resolved from the cache and archive indexes in
+ * O(1), including the alerts that mention them in their headline or discovered entities;
+ * domains also find the alerts of their subdomains. Other values are looked up in the
+ * threat actor and malware indexes (names and aliases) first and fall back to scanning
+ * the cache.
+ * @param {Object} entity - Entity object with value and type flags
+ * @param {number} [limit=DEFAULT_PAGE_SIZE] - Maximum number of alerts to return
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const findIndexedAlertsForEntity = (entity, limit = DEFAULT_PAGE_SIZE) => {
+  const indexType = getIndexTypeForEntity(entity);
+  if (indexType) {
+    return getAlertsByIndex(indexType, entity.value).slice(0, limit);
+  }
+
+  const threatAlerts = findCachedThreatAlerts(entity && entity.value);
+  if (threatAlerts.length > 0) {
+    return threatAlerts.slice(0, limit);
+  }
+
+  return findAlertsForEntity(entity, getCachedAlerts(), limit);
+};
+
+/**
+ * Find cached alerts for an entity
+ * IP entities inside our own infrastructure also match the alerts flagged for the
+ * same range, even when the alert mentions a different address.
+ * @param {Object} entity - Entity object with value and type flags
+ * @param {number} [limit=DEFAULT_PAGE_SIZE] - Maximum number of alerts to return
+ * @param {Object} [options] - Configuration options (ownInfrastructure)
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const findCachedAlertsForEntity = (entity, limit = DEFAULT_PAGE_SIZE, options) => {
+  const alerts = findIndexedAlertsForEntity(entity, limit);
+  const infrastructureAlerts = findOwnInfrastructureAlerts(
+    entity,
+    getCachedAlerts(),
+    options
+  );
+  return mergeAlerts(alerts, infrastructureAlerts).slice(0, limit);
+};
+
+module.exports = {
+  createAlertMatcher,
+  findAlertsForEntity,
+  findCachedThreatAlerts,
+  findCachedAlertsForEntity
+};
@@ -3,28 +3,57 @@ const {
 } = require('polarity-integration-utils');
 
 const { addAlertsToCache } = require('./stateManager');
+const { applyAlertRules } = require('./alertRules');
+const { applyWatchTerms } = require('./watchTerms');
+const { applyOwnInfrastructure } = require('./ownInfrastructure');
 
 /**
  * Process alerts from the API and store them in the global cache
+ * Watch terms, own infrastructure and alert rules are applied first: alerts mentioning
+ * a watch term get `watchMatches`, alerts touching our CIDR ranges or ASNs get
+ * `infrastructureMatches`, alerts matching a rule get a `ruleEvaluation` and suppressed
+ * alerts are not cached.
  * @param {Array<Object>} alerts - Array of alert objects to process
  * @param {Object} options - Configuration options
  * @returns {Promise<Object>} Resolves with processing result
  * @returns {number} returns.processed - Total alerts processed
  * @returns {number} returns.newAlerts - Number of new alerts added
  * @returns {number} returns.duplicates - Number of duplicate alerts
+ * @returns {number} returns.suppressed - Number of alerts suppressed by rules
+ * @returns {number} returns.archived - Number of new alerts archived
+ * @returns {number} returns.updated - Number of alerts merged as a new version
  */
 const processAlerts = async (alerts, options) => {
   const Logger = getLogger();
 
   try {
+    const { alerts: routedAlerts, suppressed } = applyAlertRules(
+      applyOwnInfrastructure(applyWatchTerms(alerts, options), options),
+      options
+    );
+    if (suppressed.length > 0) {
+      Logger.debug(
+        {
+          suppressedAlerts: suppressed.map((alert) => ({
+            alertId: alert.alertId,
+            rules: alert.ruleEvaluation.matchedRules.map((rule) => rule.name)
+          }))
+        },
+        'Alerts suppressed by rules'
+      );
+    }
+
     // Add alerts to global cache (deduplication handled in stateManager)
-    const result = addAlertsToCache(alerts);
+    const result = addAlertsToCache(routedAlerts, options);
 
     Logger.debug(
       {
         totalAlerts: result.total,
         newAlertsAdded: result.added,
-        duplicateAlerts: alerts.length - result.added
+        alertsArchived: result.archived,
+        alertsUpdated: result.updated,
+        duplicateAlerts: routedAlerts.length - result.added - result.updated,
+        suppressedAlerts: suppressed.length
       },
       'Alerts processed and stored globally'
     );
@@ -45,7 +74,10 @@ const processAlerts = async (alerts, options) => {
     return {
       processed: alerts.length,
       newAlerts: result.added,
-      duplicates: alerts.length - result.added
+      duplicates: routedAlerts.length - result.added - result.updated,
+      suppressed: suppressed.length,
+      archived: result.archived,
+      updated: result.updated
     };
   } catch (error) {
     Logger.error({ error }, 'Error processing alerts');
@@ -0,0 +1,436 @@
+const { getItemNames } = require('./subscriptions');
+const { getListValue } = require('./lists');
+
+/** Conditions a rule can match on (all conditions present in a rule must match) */
+const RULE_CONDITIONS = [
+  'headline',
+  'alertTypes',
+  'lists',
+  'sectors',
+  'minCvss',
+  'location'
+];
+/** Actions a rule can take when it matches */
+const RULE_ACTIONS = ['tags', 'suppress', 'escalate', 'routeTo'];
+
+const EARTH_RADIUS_KM = 6371;
+
+// Rules compiled from the last seen `alertRules` option (rules are parsed once per change)
+let compiledRulesText = null;
+let compiledRules = [];
+
+/**
+ * Check that a rule property is an array of non-empty strings
+ * @param {*} value - Property value
+ * @returns {boolean} True if the value is a valid string array
+ */
+const isStringArray = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === 'string' && item.trim().length > 0);
+
+/**
+ * Validate and compile the conditions of a rule
+ * @param {Object} when - Rule conditions
+ * @param {string} ruleName - Rule name (for error messages)
+ * @returns {Object} Result object
+ * @returns {Object} returns.conditions - Compiled conditions
+ * @returns {Array<string>} returns.errors - Validation error messages
+ */
+const compileConditions = (when, ruleName) => {
+  const errors = [];
+  const conditions = {};
+
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    return { conditions, errors: [`Rule "${ruleName}": "when" must be an object`] };
+  }
+
+  Object.keys(when).forEach((key) => {
+    if (!RULE_CONDITIONS.includes(key)) {
+      errors.push(`Rule "${ruleName}": unknown condition "${key}"`);
+    }
+  });
+  if (!RULE_CONDITIONS.some((key) => when[key] !== undefined)) {
+    errors.push(`Rule "${ruleName}": "when" needs at least one condition`);
+  }
+
+  if (when.headline !== undefined) {
+    try {
+      conditions.headline = new RegExp(when.headline, 'i');
+    } catch (error) {
+      errors.push(`Rule "${ruleName}": invalid headline regex (${error.message})`);
+    }
+  }
+
+  ['alertTypes', 'lists', 'sectors'].forEach((key) => {
+    if (when[key] === undefined) return;
+    if (!isStringArray(when[key])) {
+      errors.push(`Rule "${ruleName}": "${key}" must be an array of strings`);
+      return;
+    }
+    conditions[key] = new Set(when[key].map((value) => value.trim().toLowerCase()));
+  });
+
+  if (when.minCvss !== undefined) {
+    if (typeof when.minCvss !== 'number' || when.minCvss < 0 || when.minCvss > 10) {
+      errors.push(`Rule "${ruleName}": "minCvss" must be a number between 0 and 10`);
+    } else {
+      conditions.minCvss = when.minCvss;
+    }
+  }
+
+  if (when.location !== undefined) {
+    const { names, latitude, longitude, radiusKm } = when.location || {};
+    const hasNames = names !== undefined;
+    const hasRadius =
+      latitude !== undefined || longitude !== undefined || radiusKm !== undefined;
+
+    if (!hasNames && !hasRadius) {
+      errors.push(
+        `Rule "${ruleName}": "location" needs names or latitude, longitude and radiusKm`
+      );
+    }
+    if (hasNames && !isStringArray(names)) {
+      errors.push(`Rule "${ruleName}": "location.names" must be an array of strings`);
+    }
+    if (
+      hasRadius &&
+      ![latitude, longitude, radiusKm].every((value) => typeof value === 'number')
+    ) {
+      errors.push(
+        `Rule "${ruleName}": "location" latitude, longitude and radiusKm must be numbers`
+      );
+    }
+    conditions.location = {
+      names: hasNames && isStringArray(names) ? names.map((n) => n.toLowerCase()) : [],
+      center: hasRadius ? { latitude, longitude, radiusKm } : null
+    };
+  }
+
+  return { conditions, errors };
+};
+
+/**
+ * Validate and compile the actions of a rule
+ * @param {Object} then - Rule actions
+ * @param {string} ruleName - Rule name (for error messages)
+ * @returns {Object} Result object
+ * @returns {Object} returns.actions - Compiled actions
+ * @returns {Array<string>} returns.errors - Validation error messages
+ */
+const compileActions = (then, ruleName) => {
+  const errors = [];
+
+  if (!then || typeof then !== 'object' || Array.isArray(then)) {
+    return { actions: {}, errors: [`Rule "${ruleName}": "then" must be an object`] };
+  }
+
+  Object.keys(then).forEach((key) => {
+    if (!RULE_ACTIONS.includes(key)) {
+      errors.push(`Rule "${ruleName}": unknown action "${key}"`);
+    }
+  });
+  ['tags', 'routeTo'].forEach((key) => {
+    if (then[key] !== undefined && !isStringArray(then[key])) {
+      errors.push(`Rule "${ruleName}": "${key}" must be an array of strings`);
+    }
+  });
+  ['suppress', 'escalate'].forEach((key) => {
+    if (then[key] !== undefined && typeof then[key] !== 'boolean') {
+      errors.push(`Rule "${ruleName}": "${key}" must be true or false`);
+    }
+  });
+
+  return {
+    actions: {
+      tags: isStringArray(then.tags) ? then.tags.map((tag) => tag.trim()) : [],
+      routeTo: isStringArray(then.routeTo)
+        ? then.routeTo.map((username) => username.trim())
+        : [],
+      suppress: then.suppress === true,
+      escalate: then.escalate === true
+    },
+    errors
+  };
+};
+
+/**
+ * Parse and validate the alert rules option (a JSON array of rules)
+ * Each rule has a name, a `when` object with conditions (headline, alertTypes, lists,
+ * sectors, minCvss, location) and a `then` object with actions (tags, suppress,
+ * escalate, routeTo).
+ * @param {string} rulesText - JSON text of the rules (empty for no rules)
+ * @returns {Object} Result object
+ * @returns {Array<Object>} returns.rules - Compiled rules (empty if there are errors)
+ * @returns {Array<string>} returns.errors - Validation error messages
+ */
+const parseAlertRules = (rulesText) => {
+  if (typeof rulesText !== 'string' || rulesText.trim() === '') {
+    return { rules: [], errors: [] };
+  }
+
+  let rawRules;
+  try {
+    rawRules = JSON.parse(rulesText);
+  } catch (error) {
+    return { rules: [], errors: [`Alert rules must be valid JSON (${error.message})`] };
+  }
+  if (!Array.isArray(rawRules)) {
+    return { rules: [], errors: ['Alert rules must be a JSON array of rules'] };
+  }
+
+  const errors = [];
+  const rules = rawRules.map((rawRule, index) => {
+    const rule = rawRule && typeof rawRule === 'object' ? rawRule : {};
+    const name =
+      typeof rule.name === 'string' && rule.name.trim()
+        ? rule.name.trim()
+        : `Rule ${index + 1}`;
+    const { conditions, errors: conditionErrors } = compileConditions(rule.when, name);
+    const { actions, errors: actionErrors } = compileActions(rule.then, name);
+    errors.push(...conditionErrors, ...actionErrors);
+    return { name, conditions, actions };
+  });
+
+  return { rules: errors.length === 0 ? rules : [], errors };
+};
+
+/**
+ * Get the compiled alert rules from options
+ * Invalid rules are rejected by validateOptions, so errors here are ignored.
+ * @param {Object} [options] - Configuration options (alertRules)
+ * @returns {Array<Object>} Compiled rules
+ */
+const getAlertRules = (options) => {
+  const rulesText = (options && options.alertRules) || '';
+  if (rulesText !== compiledRulesText) {
+    compiledRulesText = rulesText;
+    compiledRules = parseAlertRules(rulesText).rules;
+  }
+  return compiledRules;
+};
+
+/**
+ * Get the highest CVSS score of the vulnerabilities in an alert's cyber metadata
+ * @param {Object} alert - Alert object
+ * @returns {number|null} Highest CVSS score, or null if none
+ */
+const getMaxCvss = (alert) => {
+  const vulnerabilities =
+    alert.metadata && alert.metadata.cyber && alert.metadata.cyber.vulnerabilities;
+  if (!Array.isArray(vulnerabilities)) return null;
+  const scores = vulnerabilities
+    .map((vuln) => vuln && Number(vuln.cvss))
+    .filter((score) => Number.isFinite(score));
+  return scores.length > 0 ? Math.max(...scores) : null;
+};
+
+/**
+ * Get the great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+const getDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check an alert's estimated event location against a location condition
+ * @param {Object} alert - Alert object
+ * @param {Object} location - Compiled location condition ({ names, center })
+ * @returns {string|null} Reason the location matched, or null if it did not match
+ */
+const matchLocation = (alert, { names, center }) => {
+  const eventLocation = alert.estimatedEventLocation;
+  if (!eventLocation) return null;
+
+  const locationName = String(eventLocation.name || '').toLowerCase();
+  const matchedName = names.find((name) => locationName.includes(name));
+  if (matchedName) return `location "${eventLocation.name}" matched "${matchedName}"`;
+
+  const coordinates = eventLocation.coordinates;
+  if (center && Array.isArray(coordinates) && coordinates.length >= 2) {
+    const distanceKm = getDistanceKm(
+      center.latitude,
+      center.longitude,
+      Number(coordinates[0]),
+      Number(coordinates[1])
+    );
+    if (distanceKm <= center.radiusKm) {
+      return `location within ${Math.round(distanceKm)} km of ${center.latitude},${
+        center.longitude
+      }`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Evaluate a rule against an alert
+ * @param {Object} rule - Compiled rule
+ * @param {Object} alert - Alert object
+ * @returns {Array<string>|null} Reasons each condition matched, or null if the rule did not match
+ */
+const evaluateRule = (rule, alert) => {
+  const { conditions } = rule;
+  const reasons = [];
+
+  if (conditions.headline) {
+    if (!conditions.headline.test(alert.headline || '')) return null;
+    reasons.push(`headline matched /${conditions.headline.source}/`);
+  }
+
+  if (conditions.alertTypes) {
+    const alertType =
+      alert.alertType && alert.alertType.name
+        ? alert.alertType.name.toLowerCase()
+        : 'alert';
+    if (!conditions.alertTypes.has(alertType)) return null;
+    reasons.push(`alert type is ${alertType}`);
+  }
+
+  if (conditions.lists) {
+    const lists = Array.isArray(alert.listsMatched) ? alert.listsMatched : [];
+    const matchedList = lists.find(
+      (list) =>
+        list &&
+        (conditions.lists.has(getListValue(list).toLowerCase()) ||
+          conditions.lists.has(String(list.name || '').toLowerCase()))
+    );
+    if (!matchedList) return null;
+    reasons.push(`matched list ${matchedList.name || getListValue(matchedList)}`);
+  }
+
+  if (conditions.sectors) {
+    const matchedSector = getItemNames(alert.alertSectors).find((sector) =>
+      conditions.sectors.has(sector)
+    );
+    if (!matchedSector) return null;
+    reasons.push(`sector ${matchedSector}`);
+  }
+
+  if (conditions.minCvss !== undefined) {
+    const maxCvss = getMaxCvss(alert);
+    if (maxCvss === null || maxCvss < conditions.minCvss) return null;
+    reasons.push(`CVSS ${maxCvss} >= ${conditions.minCvss}`);
+  }
+
+  if (conditions.location) {
+    const locationReason = matchLocation(alert, conditions.location);
+    if (!locationReason) return null;
+    reasons.push(locationReason);
+  }
+
+  return reasons;
+};
+
+/**
+ * Evaluate the rules against an alert
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Object} alert - Alert object
+ * @returns {Object|null} Rule evaluation, or null if no rule matched
+ * @returns {Array<Object>} returns.matchedRules - Matched rules with name and reasons
+ * @returns {Array<string>} returns.tags - Tags added by the matched rules
+ * @returns {boolean} returns.suppressed - True if a matched rule suppresses the alert
+ * @returns {boolean} returns.escalated - True if a matched rule escalates the alert
+ * @returns {Array<string>} returns.routedTo - Usernames the alert is routed to
+ */
+const evaluateAlertRules = (rules, alert) => {
+  const matchedRules = rules.reduce((agg, rule) => {
+    const reasons = evaluateRule(rule, alert);
+    return reasons ? agg.concat({ rule, reasons }) : agg;
+  }, []);
+  if (matchedRules.length === 0) return null;
+
+  const collect = (key) => [
+    ...new Set(matchedRules.reduce((agg, { rule }) => agg.concat(rule.actions[key]), []))
+  ];
+
+  return {
+    matchedRules: matchedRules.map(({ rule, reasons }) => ({ name: rule.name, reasons })),
+    tags: collect('tags'),
+    suppressed: matchedRules.some(({ rule }) => rule.actions.suppress),
+    escalated: matchedRules.some(({ rule }) => rule.actions.escalate),
+    routedTo: collect('routeTo')
+  };
+};
+
+/**
+ * Apply the configured alert rules to a batch of alerts
+ * Rule evaluations are attached to alerts as `ruleEvaluation`; suppressed alerts are
+ * removed from the batch.
+ * @param {Array<Object>} alerts - Alert objects
+ * @param {Object} [options] - Configuration options (alertRules)
+ * @returns {Object} Result object
+ * @returns {Array<Object>} returns.alerts - Alerts that were not suppressed
+ * @returns {Array<Object>} returns.suppressed - Alerts suppressed by a rule
+ */
+const applyAlertRules = (alerts, options) => {
+  const rules = getAlertRules(options);
+  if (rules.length === 0) return { alerts, suppressed: [] };
+
+  return alerts.reduce(
+    (agg, alert) => {
+      const ruleEvaluation = evaluateAlertRules(rules, alert);
+      if (!ruleEvaluation) {
+        agg.alerts.push(alert);
+      } else if (ruleEvaluation.suppressed) {
+        agg.suppressed.push({ ...alert, ruleEvaluation });
+      } else {
+        agg.alerts.push({ ...alert, ruleEvaluation });
+      }
+      return agg;
+    },
+    { alerts: [], suppressed: [] }
+  );
+};
+
+/**
+ * Check whether a rule escalated an alert
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if the alert was escalated
+ */
+const isAlertEscalated = (alert) =>
+  Boolean(alert && alert.ruleEvaluation && alert.ruleEvaluation.escalated);
+
+/**
+ * Check whether any rule matched an alert (and tagged, escalated or routed it)
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if a rule matched the alert
+ */
+const isAlertMatchedByRule = (alert) =>
+  Boolean(alert && alert.ruleEvaluation && alert.ruleEvaluation.matchedRules.length > 0);
+
+/**
+ * Check whether a rule routed an alert to a user
+ * @param {Object} alert - Alert object
+ * @param {string} username - Polarity username
+ * @returns {boolean} True if the alert was routed to the user
+ */
+const isAlertRoutedTo = (alert, username) =>
+  Boolean(
+    username &&
+      alert &&
+      alert.ruleEvaluation &&
+      alert.ruleEvaluation.routedTo.some(
+        (routedUser) => routedUser.toLowerCase() === String(username).toLowerCase()
+      )
+  );
+
+module.exports = {
+  parseAlertRules,
+  getAlertRules,
+  evaluateAlertRules,
+  applyAlertRules,
+  isAlertEscalated,
+  isAlertMatchedByRule,
+  isAlertRoutedTo
+};
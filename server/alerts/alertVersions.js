@@ -0,0 +1,217 @@
+const { ALERT_MAX_VERSIONS } = require('../../constants');
+
+/** Fields derived from the alert by processAlerts (re-derived for every version) */
+const DERIVED_FIELDS = ['watchMatches', 'infrastructureMatches', 'ruleEvaluation'];
+
+/** Fields that describe the version of an alert rather than its content */
+const VERSION_FIELDS = ['version', 'updatedAt', 'versionHistory'];
+
+/**
+ * Pluck a property from each item of a possibly missing array
+ * @param {*} items - Array of objects
+ * @param {string} property - Property name
+ * @returns {Array<*>} Property values
+ */
+const pluck = (items, property) =>
+  Array.isArray(items) ? items.map((item) => item && item[property]) : [];
+
+/**
+ * Get the current versions of the intel agents of an alert
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>} Intel agent objects
+ */
+const getCurrentIntelAgents = (alert) =>
+  Array.isArray(alert.intelAgents)
+    ? alert.intelAgents.filter((agent) => agent && agent.version === 'current')
+    : [];
+
+/**
+ * Alert content compared between versions
+ * `text` fields hold a single value and report before/after; list fields report the
+ * values added and removed.
+ */
+const COMPARED_FIELDS = [
+  {
+    field: 'headline',
+    label: 'Headline',
+    text: true,
+    getValues: (alert) => [alert.headline]
+  },
+  {
+    field: 'alertType',
+    label: 'Alert Type',
+    text: true,
+    getValues: (alert) => [alert.alertType && alert.alertType.name]
+  },
+  {
+    field: 'subHeadline',
+    label: 'Sub Headline',
+    getValues: (alert) =>
+      alert.subHeadline
+        ? [alert.subHeadline.title].concat(alert.subHeadline.content || [])
+        : []
+  },
+  {
+    field: 'liveBrief',
+    label: 'Live Brief',
+    getValues: (alert) =>
+      Array.isArray(alert.liveBrief)
+        ? pluck(
+            alert.liveBrief.filter((brief) => brief && brief.version === 'current'),
+            'summary'
+          )
+        : []
+  },
+  {
+    field: 'intelAgents',
+    label: 'Intel Agent Summary',
+    getValues: (alert) =>
+      getCurrentIntelAgents(alert).reduce(
+        (agg, agent) =>
+          agg.concat(
+            (Array.isArray(agent.summary) ? agent.summary : []).map((item) => {
+              const content = Array.isArray(item && item.content)
+                ? item.content.join(' ')
+                : '';
+              return item && item.title ? `${item.title}: ${content}` : content;
+            })
+          ),
+        []
+      )
+  },
+  {
+    field: 'discoveredEntities',
+    label: 'Discovered Entities',
+    getValues: (alert) =>
+      getCurrentIntelAgents(alert).reduce(
+        (agg, agent) => agg.concat(pluck(agent.discoveredEntities, 'name')),
+        []
+      )
+  },
+  {
+    field: 'media',
+    label: 'Media',
+    getValues: (alert) => pluck(alert.publicPost && alert.publicPost.media, 'href')
+  },
+  {
+    field: 'alertReferenceTerms',
+    label: 'Reference Terms',
+    getValues: (alert) =>
+      Array.isArray(alert.alertReferenceTerms)
+        ? alert.alertReferenceTerms.map((term) =>
+            term && typeof term === 'object' ? term.text || term.name || term.value : term
+          )
+        : []
+  },
+  {
+    field: 'indicators',
+    label: 'Cyber Indicators',
+    getValues: (alert) => {
+      const cyber = (alert.metadata && alert.metadata.cyber) || {};
+      return [].concat(
+        pluck(cyber.addresses, 'ip'),
+        pluck(cyber.URL, 'name'),
+        pluck(cyber.hashValues, 'value'),
+        pluck(cyber.vulnerabilities, 'id'),
+        pluck(cyber.malware, 'name'),
+        pluck(cyber.threatActors, 'name')
+      );
+    }
+  },
+  {
+    field: 'linkedAlerts',
+    label: 'Linked Alerts',
+    getValues: (alert) => pluck(alert.linkedAlerts, 'parentAlertId')
+  },
+  {
+    field: 'listsMatched',
+    label: 'Lists Matched',
+    getValues: (alert) => pluck(alert.listsMatched, 'name')
+  }
+];
+
+/**
+ * Normalize the compared values of a field (trimmed, non-empty, unique)
+ * @param {Array<*>} values - Raw values
+ * @returns {Array<string>} Values in their original order
+ */
+const normalizeValues = (values) =>
+  Array.from(
+    new Set(
+      values
+        .filter((value) => typeof value === 'string' || typeof value === 'number')
+        .map((value) => String(value).trim())
+        .filter(Boolean)
+    )
+  );
+
+/**
+ * Compare the content of two versions of an alert
+ * @param {Object} previousAlert - Previous version
+ * @param {Object} nextAlert - Next version
+ * @returns {Array<Object>} Changed fields ({ field, label, before, after } for text
+ * fields, { field, label, added, removed } for list fields); empty if nothing changed
+ */
+const diffAlertVersions = (previousAlert, nextAlert) =>
+  COMPARED_FIELDS.reduce((agg, { field, label, text, getValues }) => {
+    const before = normalizeValues(getValues(previousAlert));
+    const after = normalizeValues(getValues(nextAlert));
+
+    if (text) {
+      return before[0] === after[0]
+        ? agg
+        : agg.concat({ field, label, before: before[0] || '', after: after[0] || '' });
+    }
+
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    const added = after.filter((value) => !beforeSet.has(value));
+    const removed = before.filter((value) => !afterSet.has(value));
+    return added.length === 0 && removed.length === 0
+      ? agg
+      : agg.concat({ field, label, added, removed });
+  }, []);
+
+/**
+ * Copy an alert without the given fields
+ * @param {Object} alert - Alert object
+ * @param {Array<string>} fields - Field names to drop
+ * @returns {Object} Alert copy
+ */
+const omitFields = (alert, fields) =>
+  Object.keys(alert).reduce(
+    (agg, key) => (fields.includes(key) ? agg : { ...agg, [key]: alert[key] }),
+    {}
+  );
+
+/**
+ * Merge a redelivered alert into the version we already hold
+ * Fields missing from the incoming alert are kept from the previous version; flags
+ * derived by processAlerts come from the incoming alert only. The merged alert gets the
+ * next `version`, an `updatedAt` ISO timestamp and a `versionHistory` entry listing
+ * the changes (only the newest ALERT_MAX_VERSIONS entries are kept).
+ * @param {Object} previousAlert - Cached or archived version of the alert
+ * @param {Object} incomingAlert - Alert with the same alertId from the API
+ * @returns {Object|null} Merged alert, or null if the content did not change
+ */
+const mergeAlertVersion = (previousAlert, incomingAlert) => {
+  const mergedAlert = {
+    ...omitFields(previousAlert, DERIVED_FIELDS.concat(VERSION_FIELDS)),
+    ...omitFields(incomingAlert, VERSION_FIELDS)
+  };
+  const changes = diffAlertVersions(previousAlert, mergedAlert);
+  if (changes.length === 0) return null;
+
+  const version = (previousAlert.version || 1) + 1;
+  const updatedAt = new Date().toISOString();
+  const versionHistory = (previousAlert.versionHistory || [])
+    .concat({ version, updatedAt, changes })
+    .slice(-ALERT_MAX_VERSIONS);
+
+  return { ...mergedAlert, version, updatedAt, versionHistory };
+};
+
+module.exports = {
+  diffAlertVersions,
+  mergeAlertVersion
+};
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+const {
+  createAlertIndex,
+  addAlertToIndex,
+  removeAlertFromIndex,
+  getAlertIdsFromIndex
+} = require('./alertIndex');
+
+const DAY_FILE_REGEX = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Get the time of an alert in milliseconds
+ * @param {Object} alert - Alert object
+ * @returns {number|null} Alert time, or null if the alert has no valid timestamp
+ */
+const getAlertTime = (alert) => {
+  const time = alert.alertTimestamp ? new Date(alert.alertTimestamp).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Get the UTC day (YYYY-MM-DD) of a time
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Day string
+ */
+const getDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Create an archive that keeps alerts on disk beyond the in-memory alert cache.
+ * Alerts are appended to one JSONL file per UTC day (by alert timestamp) so expired days
+ * can be removed as a whole; new versions of an alert are appended to the same day and the
+ * replaced lines are dropped when the day is compacted. Only the entity indexes and the
+ * location (day, byte offset and length) of the latest line of each alertId are kept in
+ * memory, so a lookup reads just the lines of the alerts it returns. Whole day files are
+ * only read by load, prune and compact.
+ * @param {string} directoryPath - Absolute path of the archive directory
+ * @returns {Object} Archive object
+ * @returns {Function} returns.load - Indexes the alerts already on disk
+ * @returns {Function} returns.add - Appends new alerts within the retention period
+ * @returns {Function} returns.update - Appends new versions of archived alerts
+ * @returns {Function} returns.prune - Removes days older than the retention period
+ * @returns {Function} returns.compact - Rewrites days holding replaced alert versions
+ * @returns {Function} returns.getAlertById - Reads a single archived alert
+ * @returns {Function} returns.getAlertsById - Reads several archived alerts
+ * @returns {Function} returns.getAlertsByIndex - Reads the archived alerts indexed under
+ * an entity value
+ * @returns {Function} returns.size - Number of archived alerts
+ */
+const createAlertArchive = (directoryPath) => {
+  // alertId -> { day, offset, length } of the latest line of the alert
+  const alertLocations = new Map();
+  // day -> size in bytes of the day file (where the next line is appended)
+  const daySizes = new Map();
+  // day -> number of lines holding replaced versions of an alert
+  const staleLines = new Map();
+  let alertIndex = createAlertIndex();
+
+  const getDayFilePath = (day) => path.join(directoryPath, `${day}.jsonl`);
+
+  /**
+   * Get the days that have an archive file
+   * @returns {Array<string>} Day strings (oldest first)
+   */
+  const getArchivedDays = () => {
+    if (!fs.existsSync(directoryPath)) return [];
+    return fs
+      .readdirSync(directoryPath)
+      .map((fileName) => DAY_FILE_REGEX.exec(fileName))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort();
+  };
+
+  /**
+   * Parse an archived alert line
+   * @param {Buffer|string} line - JSON line
+   * @returns {Object|null} Alert object, or null if the line is blank or malformed
+   */
+  const parseLine = (line) => {
+    try {
+      const alert = JSON.parse(line);
+      return alert && alert.alertId ? alert : null;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  /**
+   * Read all alerts archived for a day (malformed lines are skipped)
+   * Updated alerts are appended again, so the last line of an alertId wins.
+   * @param {string} day - Day string
+   * @returns {Map<string, Object>} alertId -> { alert, location } of the latest version
+   */
+  const readDay = (day) => {
+    const filePath = getDayFilePath(day);
+    const entries = new Map();
+    if (!fs.existsSync(filePath)) return entries;
+
+    const content = fs.readFileSync(filePath);
+    let lineCount = 0;
+    let offset = 0;
+    while (offset < content.length) {
+      const newlineIndex = content.indexOf(0x0a, offset);
+      const end = newlineIndex === -1 ? content.length : newlineIndex;
+      const alert = parseLine(content.subarray(offset, end));
+      if (alert) {
+        const location = { day, offset, length: end - offset };
+        entries.set(alert.alertId, { alert, location });
+        lineCount++;
+      }
+      offset = end + 1;
+    }
+
+    daySizes.set(day, content.length);
+    staleLines.set(day, lineCount - entries.size);
+    return entries;
+  };
+
+  /**
+   * Read archived alerts from their locations (each day file is opened once)
+   * @param {Array<string>} alertIds - Alert IDs
+   * @returns {Map<string, Object>} alertId -> alert, for the alerts that are archived
+   */
+  const readAlerts = (alertIds) => {
+    const alertIdsByDay = alertIds.reduce((agg, alertId) => {
+      const location = alertId && alertLocations.get(alertId);
+      if (!location) return agg;
+      if (!agg.has(location.day)) agg.set(location.day, []);
+      agg.get(location.day).push(alertId);
+      return agg;
+    }, new Map());
+
+    const alerts = new Map();
+    alertIdsByDay.forEach((dayAlertIds, day) => {
+      const fd = fs.openSync(getDayFilePath(day), 'r');
+      try {
+        dayAlertIds.forEach((alertId) => {
+          const { offset, length } = alertLocations.get(alertId);
+          const line = Buffer.alloc(length);
+          fs.readSync(fd, line, 0, length, offset);
+          const alert = parseLine(line);
+          if (alert && alert.alertId === alertId) alerts.set(alertId, alert);
+        });
+      } finally {
+        fs.closeSync(fd);
+      }
+    });
+    return alerts;
+  };
+
+  /**
+   * Append alerts to their day files and record where each line was written
+   * @param {Map<string, Array<Object>>} alertsByDay - Day string -> alerts
+   * @returns {void}
+   */
+  const appendAlerts = (alertsByDay) => {
+    if (alertsByDay.size === 0) return;
+    fs.mkdirSync(directoryPath, { recursive: true });
+
+    alertsByDay.forEach((alerts, day) => {
+      const filePath = getDayFilePath(day);
+      if (!daySizes.has(day)) {
+        daySizes.set(day, fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
+      }
+
+      let offset = daySizes.get(day);
+      const lines = alerts.map((alert) => {
+        const line = JSON.stringify(alert);
+        const length = Buffer.byteLength(line);
+        alertLocations.set(alert.alertId, { day, offset, length });
+        offset += length + 1;
+        return line;
+      });
+      fs.appendFileSync(filePath, `${lines.join('\n')}\n`);
+      daySizes.set(day, offset);
+    });
+  };
+
+  /**
+   * Index the alerts already on disk (called once at startup)
+   * @returns {number} Number of archived alerts
+   */
+  const load = () => {
+    const Logger = getLogger();
+    alertLocations.clear();
+    daySizes.clear();
+    staleLines.clear();
+    alertIndex = createAlertIndex();
+
+    try {
+      getArchivedDays().forEach((day) => {
+        readDay(day).forEach(({ alert, location }) => {
+          if (alertLocations.has(alert.alertId)) return;
+          alertLocations.set(alert.alertId, location);
+          addAlertToIndex(alertIndex, alert);
+        });
+      });
+    } catch (error) {
+      Logger.error({ error, directoryPath }, 'Failed to read alert archive');
+    }
+
+    return alertLocations.size;
+  };
+
+  /**
+   * Remove the days older than the retention period
+   * Runs on a timer rather than on every add, as it reads the expired day files.
+   * @param {number} retentionMs - Retention period in milliseconds
+   * @returns {Array<Object>} Removed alerts ({ alertId, alertTimestamp })
+   */
+  const prune = (retentionMs) => {
+    const cutoffDay = getDay(Date.now() - retentionMs);
+    const removed = [];
+
+    getArchivedDays()
+      .filter((day) => day < cutoffDay)
+      .forEach((day) => {
+        readDay(day).forEach(({ alert }) => {
+          const location = alertLocations.get(alert.alertId);
+          if (!location || location.day !== day) return;
+          alertLocations.delete(alert.alertId);
+          removeAlertFromIndex(alertIndex, alert);
+          removed.push({ alertId: alert.alertId, alertTimestamp: alert.alertTimestamp });
+        });
+        fs.unlinkSync(getDayFilePath(day));
+        daySizes.delete(day);
+        staleLines.delete(day);
+      });
+
+    return removed;
+  };
+
+  /**
+   * Rewrite the day files holding replaced alert versions so each alertId is stored once
+   * The compacted file is written next to the day file and renamed over it. Runs on the
+   * same timer as prune.
+   * @returns {number} Number of replaced lines removed
+   */
+  const compact = () => {
+    let removedLines = 0;
+
+    Array.from(staleLines.keys())
+      .filter((day) => staleLines.get(day) > 0)
+      .forEach((day) => {
+        const entries = readDay(day);
+        removedLines += staleLines.get(day);
+
+        const filePath = getDayFilePath(day);
+        const tempFilePath = `${filePath}.tmp`;
+        const lines = [];
+        let offset = 0;
+        entries.forEach(({ alert }) => {
+          const location = alertLocations.get(alert.alertId);
+          if (!location || location.day !== day) return;
+          const line = JSON.stringify(alert);
+          const length = Buffer.byteLength(line);
+          lines.push({ alertId: alert.alertId, line, location: { day, offset, length } });
+          offset += length + 1;
+        });
+
+        fs.writeFileSync(tempFilePath, lines.map(({ line }) => `${line}\n`).join(''));
+        fs.renameSync(tempFilePath, filePath);
+        lines.forEach(({ alertId, location }) => alertLocations.set(alertId, location));
+        daySizes.set(day, offset);
+        staleLines.set(day, 0);
+      });
+
+    return removedLines;
+  };
+
+  /**
+   * Append alerts that are not archived yet
+   * Alerts older than the retention period (or without alertId) are not archived.
+   * @param {Array<Object>} alerts - Alert objects
+   * @param {number} retentionMs - Retention period in milliseconds
+   * @returns {number} Number of alerts added
+   */
+  const add = (alerts, retentionMs) => {
+    const now = Date.now();
+    const cutoffTime = now - retentionMs;
+    const alertsByDay = new Map();
+    const addedAlertIds = new Set();
+
+    (Array.isArray(alerts) ? alerts : []).forEach((alert) => {
+      if (!alert || !alert.alertId) return;
+      if (alertLocations.has(alert.alertId) || addedAlertIds.has(alert.alertId)) return;
+      const alertTime = getAlertTime(alert);
+      if ((alertTime === null ? now : alertTime) <= cutoffTime) return;
+
+      const day = getDay(alertTime === null ? now : alertTime);
+      if (!alertsByDay.has(day)) alertsByDay.set(day, []);
+      alertsByDay.get(day).push(alert);
+      addedAlertIds.add(alert.alertId);
+      addAlertToIndex(alertIndex, alert);
+    });
+
+    appendAlerts(alertsByDay);
+    return addedAlertIds.size;
+  };
+
+  /**
+   * Store new versions of alerts that are already archived
+   * The new version is appended to the day file of the alert and replaces the previous
+   * version in the entity indexes; the previous line is dropped by the next compact.
+   * Alerts that are not archived are ignored.
+   * @param {Array<Object>} alerts - Updated alert objects
+   * @returns {number} Number of alerts updated
+   */
+  const update = (alerts) => {
+    const updatedAlerts = (Array.isArray(alerts) ? alerts : []).reduce(
+      (agg, alert) =>
+        alert && alertLocations.has(alert.alertId) ? agg.set(alert.alertId, alert) : agg,
+      new Map()
+    );
+    const previousAlerts = readAlerts(Array.from(updatedAlerts.keys()));
+
+    const alertsByDay = new Map();
+    updatedAlerts.forEach((alert, alertId) => {
+      const { day } = alertLocations.get(alertId);
+      staleLines.set(day, (staleLines.get(day) || 0) + 1);
+      const previousAlert = previousAlerts.get(alertId);
+      if (previousAlert) removeAlertFromIndex(alertIndex, previousAlert);
+      addAlertToIndex(alertIndex, alert);
+      if (!alertsByDay.has(day)) alertsByDay.set(day, []);
+      alertsByDay.get(day).push(alert);
+    });
+    appendAlerts(alertsByDay);
+
+    return updatedAlerts.size;
+  };
+
+  /**
+   * Read a single archived alert
+   * @param {string} alertId - Alert ID
+   * @returns {Object|null} Alert object, or null if the alert is not archived
+   */
+  const getAlertById = (alertId) => readAlerts([alertId]).get(alertId) || null;
+
+  /**
+   * Read several archived alerts
+   * @param {Array<string>} alertIds - Alert IDs
+   * @returns {Map<string, Object>} alertId -> alert, for the alerts that are archived
+   */
+  const getAlertsById = (alertIds) => readAlerts(alertIds);
+
+  /**
+   * Read the archived alerts indexed under an entity value
+   * @param {string} type - Index type (one of INDEX_TYPES)
+   * @param {string} value - Entity value to look up
+   * @returns {Array<Object>} Archived alerts (sorted newest first)
+   */
+  const getAlertsByIndex = (type, value) =>
+    Array.from(readAlerts(getAlertIdsFromIndex(alertIndex, type, value)).values()).sort(
+      (a, b) => (getAlertTime(b) || 0) - (getAlertTime(a) || 0)
+    );
+
+  const size = () => alertLocations.size;
+
+  return {
+    load,
+    add,
+    update,
+    prune,
+    compact,
+    getAlertById,
+    getAlertsById,
+    getAlertsByIndex,
+    size
+  };
+};
+
+module.exports = {
+  createAlertArchive
+};
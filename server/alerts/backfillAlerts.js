@@ -0,0 +1,163 @@
+const { logging: { getLogger } } = require('polarity-integration-utils');
+
+const {
+  BACKFILL_RETRY_BASE_DELAY_MS,
+  BACKFILL_RETRY_MAX_DELAY_MS
+} = require('../../constants');
+const { getAlerts } = require('./getAlerts');
+const { getPollingState, updatePollingState } = require('./stateManager');
+const { processAlerts } = require('./alertProcessor');
+
+/** Backfill statuses recorded in the polling state */
+const BACKFILL_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+let isBackfillInProgress = false;
+
+/**
+ * Parse the backfill `since` cursor option
+ * @param {*} value - Option value (CAL zip entry number)
+ * @returns {number|null} Cursor, or null if the option is empty or not a whole number
+ */
+const parseBackfillSince = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const since = String(value).trim();
+  return /^\d+$/.test(since) ? Number(since) : null;
+};
+
+/**
+ * Update the backfill status in the polling state
+ * @param {Object} updates - Partial backfill status to merge with the current status
+ * @returns {void}
+ */
+const updateBackfillState = (updates) => {
+  updatePollingState({ backfill: { ...getPollingState().backfill, ...updates } });
+};
+
+/**
+ * Get the wait before retrying a backfill that failed
+ * @param {number} attempts - Attempts made so far for the cursor
+ * @returns {number} Delay in milliseconds (doubles each attempt, up to the maximum)
+ */
+const getBackfillRetryDelayMs = (attempts) =>
+  Math.min(
+    BACKFILL_RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    BACKFILL_RETRY_MAX_DELAY_MS
+  );
+
+/**
+ * Replay the CAL feed from a `since` cursor into the alert cache and archive
+ * Alerts go through the same processing as polled alerts; alerts too old for the cache
+ * are only archived. The polling cursor is not changed.
+ * @param {Object} options - Configuration options
+ * @param {number} since - CAL zip entry number to replay from
+ * @param {number} attempt - Attempt number for this cursor (1 for the first replay)
+ * @returns {Promise<Object>} Resolves with backfill result object
+ */
+const runBackfill = async (options, since, attempt) => {
+  const Logger = getLogger();
+  let alertsProcessed = 0;
+  let alertsArchived = 0;
+
+  updatePollingState({
+    backfill: {
+      since,
+      status: BACKFILL_STATUS.RUNNING,
+      startedAt: Date.now(),
+      completedAt: null,
+      alertsProcessed: 0,
+      alertsArchived: 0,
+      error: null,
+      attempts: attempt,
+      nextAttemptAt: null
+    }
+  });
+  Logger.info({ since, attempt }, 'Starting alert backfill');
+
+  try {
+    const { alertCount } = await getAlerts(
+      { ...options, since },
+      {
+        onBatch: async (batch) => {
+          const result = await processAlerts(batch, options);
+          alertsArchived += result.archived;
+        }
+      }
+    );
+    alertsProcessed = alertCount;
+
+    updateBackfillState({
+      status: BACKFILL_STATUS.COMPLETED,
+      completedAt: Date.now(),
+      alertsProcessed,
+      alertsArchived
+    });
+    Logger.info({ since, alertsProcessed, alertsArchived }, 'Alert backfill completed');
+
+    return { success: true, alertsProcessed, alertsArchived };
+  } catch (error) {
+    const message = error.message || error.detail || 'Backfill failed';
+    const nextAttemptAt = Date.now() + getBackfillRetryDelayMs(attempt);
+    updateBackfillState({
+      status: BACKFILL_STATUS.FAILED,
+      completedAt: Date.now(),
+      alertsArchived,
+      error: message,
+      nextAttemptAt
+    });
+    Logger.error(
+      {
+        statusCode: error.statusCode || (error.meta && error.meta.statusCode),
+        message,
+        since,
+        attempt,
+        nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+        retry: error.retry
+      },
+      'Alert backfill failed'
+    );
+
+    return { success: false, error: message };
+  }
+};
+
+/**
+ * Start a backfill when the admin sets a new `backfillSince` cursor
+ * Each cursor is replayed until it completes once; a failed or interrupted replay is
+ * retried with exponential backoff (BACKFILL_RETRY_BASE_DELAY_MS doubling up to
+ * BACKFILL_RETRY_MAX_DELAY_MS). Clearing the option allows a completed cursor to be
+ * replayed again. Only one backfill runs at a time.
+ * @param {Object} options - Configuration options (backfillSince)
+ * @returns {Promise<Object|undefined>} Resolves with backfill result object (undefined
+ * if no backfill was started)
+ */
+const backfillAlerts = async (options) => {
+  if (isBackfillInProgress) return;
+
+  const since = parseBackfillSince(options && options.backfillSince);
+  const { backfill } = getPollingState();
+  if (since === null) {
+    if (backfill) updatePollingState({ backfill: null });
+    return;
+  }
+  const sameCursor = Boolean(backfill && backfill.since === since);
+  if (sameCursor && backfill.status === BACKFILL_STATUS.COMPLETED) return;
+  if (sameCursor && backfill.nextAttemptAt && Date.now() < backfill.nextAttemptAt) return;
+
+  isBackfillInProgress = true;
+  try {
+    const attempt = sameCursor ? (backfill.attempts || 0) + 1 : 1;
+    return await runBackfill(options, since, attempt);
+  } finally {
+    isBackfillInProgress = false;
+  }
+};
+
+module.exports = {
+  BACKFILL_STATUS,
+  parseBackfillSince,
+  backfillAlerts
+};
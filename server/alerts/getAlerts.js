@@ -1,10 +1,27 @@
 const {
   logging: { getLogger }
 } = require('polarity-integration-utils');
-const AdmZip = require('adm-zip');
+const unzipper = require('unzipper');
+const { pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
 
 const { requestWithDefaults } = require('../request');
-const { getCachedAlertById } = require('./stateManager');
+const { getZipLimits } = require('../userOptions/settings');
+const {
+  getCachedAlertById,
+  getArchivedAlertById,
+  getExpiredAlert
+} = require('./stateManager');
+const {
+  ALERT_BATCH_SIZE,
+  ALERT_LOOKUP_STATUS,
+  FEED_LOOKUP_MIN_INTERVAL_MS,
+  FEED_LOOKUP_MISS_TTL_MS,
+  FEED_LOOKUP_HIT_TTL_MS
+} = require('../../constants');
+
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
 
 /**
  * Parse numeric part from zip entry name (e.g. "301.json" -> 301, "302.jsonl" -> 302).
@@ -19,60 +36,299 @@ const parseEntryNumber = (entryName) => {
 };
 
 /**
- * Extract alerts from all JSON/JSONL files in zip buffer (in-memory).
- * Zip may contain multiple JSON files; each is parsed and alerts are combined.
- * Also computes max numeric filename for use as `since` on the next poll.
- * @param {Buffer} zipBuffer - Raw zip file buffer from API
- * @returns {{ alerts: Array<Object>, maxSince: number }} Combined alerts and max entry number
+ * Get alerts from a parsed JSON value (array of alerts or object with alerts property)
+ * @param {*} parsed - Parsed JSON value
+ * @returns {Array<Object>} Array of alert objects
  */
-const extractAlertsFromZipBuffer = (zipBuffer) => {
-  const zip = new AdmZip(zipBuffer);
-  const entries = zip.getEntries();
-  const jsonEntries = entries.filter(
-    (e) => !e.isDirectory && (e.entryName.endsWith('.json') || e.entryName.endsWith('.jsonl'))
-  );
-  if (jsonEntries.length === 0) {
-    throw new Error('No JSON file found in zip');
+const getAlertsFromParsedValue = (parsed) => {
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && Array.isArray(parsed.alerts)) return parsed.alerts;
+  return [];
+};
+
+/**
+ * Create an incremental parser for `.json` entries
+ * The entry holds an array of alerts or an object with an `alerts` array. Text is fed in
+ * chunks; the parser tracks the JSON structure and parses each alert object as soon as it
+ * is complete, so only one alert is held as text at a time.
+ * @returns {{ write: Function, end: Function }} `write(text)` returns the alerts completed
+ * by the chunk; `end()` returns the remaining alerts (always empty)
+ * @throws {SyntaxError} If an alert is not valid JSON or the entry ends mid-value
+ */
+const createJsonAlertsParser = () => {
+  const MAX_KEY_LENGTH = 64;
+  let depth = 0;
+  let started = false;
+  let rootIsObject = false;
+  let inString = false;
+  let escaped = false;
+  let stringText = '';
+  let lastString = null;
+  let currentKey = null;
+  let alertsDepth = null;
+  let itemText = null;
+
+  const write = (text) => {
+    const alerts = [];
+    let itemStart = itemText === null ? -1 : 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastString = stringText;
+          continue;
+        }
+        if (depth === 1 && rootIsObject && stringText.length <= MAX_KEY_LENGTH) {
+          stringText += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        stringText = '';
+      } else if (char === ':' && depth === 1) {
+        currentKey = lastString;
+      } else if (char === ',' && depth === 1) {
+        currentKey = null;
+      } else if (char === '[' || char === '{') {
+        if (!started) {
+          started = true;
+          rootIsObject = char === '{';
+        }
+        if (char === '[' && (depth === 0 || (depth === 1 && currentKey === 'alerts'))) {
+          alertsDepth = depth + 1;
+        } else if (char === '{' && depth === alertsDepth && itemText === null) {
+          itemText = '';
+          itemStart = i;
+        }
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth < 0) throw new SyntaxError(`Unexpected token ${char} in JSON`);
+        if (char === ']' && depth + 1 === alertsDepth) {
+          alertsDepth = null;
+        } else if (char === '}' && depth === alertsDepth && itemText !== null) {
+          alerts.push(JSON.parse(itemText + text.slice(itemStart, i + 1)));
+          itemText = null;
+          itemStart = -1;
+        }
+      }
+    }
+
+    if (itemText !== null) itemText += text.slice(itemStart);
+    return alerts;
+  };
+
+  const end = () => {
+    if (!started || depth !== 0 || inString) {
+      throw new SyntaxError('Unexpected end of JSON input');
+    }
+    return [];
+  };
+
+  return { write, end };
+};
+
+/**
+ * Parse a single JSONL (newline-delimited JSON) line.
+ * A line may hold a single alert, an array of alerts or an object with an alerts array.
+ * @param {string} line - Line contents
+ * @returns {Array<Object>} Alerts on the line (empty for blank lines)
+ * @throws {SyntaxError} If the line is not valid JSON
+ */
+const parseJsonlLine = (line) => {
+  if (!line.trim()) return [];
+  const parsed = JSON.parse(line);
+  if (Array.isArray(parsed) || (parsed && Array.isArray(parsed.alerts))) {
+    return getAlertsFromParsedValue(parsed);
   }
+  return parsed && typeof parsed === 'object' ? [parsed] : [];
+};
+
+/**
+ * Extract alerts from all JSON/JSONL files of a zip, reading the zip as it is downloaded.
+ * Entries are read from their local headers one at a time and inflated as streams, so the
+ * entry count and uncompressed size are enforced while reading (zip-bomb protection)
+ * rather than after the whole zip or entry is in memory.
+ * `.json` entries are parsed alert by alert and `.jsonl` entries line by line as they are
+ * inflated (malformed JSONL lines are skipped and returned in parseErrors rather than
+ * aborting the poll).
+ * Alerts are handed to `onBatch` in batches of ALERT_BATCH_SIZE when provided, otherwise
+ * they are collected and returned. Extraction stops early when `onBatch` returns false.
+ * Also computes max numeric filename for use as `since` on the next poll.
+ * @param {Stream} zipStream - Zip file stream (response body from the API)
+ * @param {Object} limits - Limits from getZipLimits (userOptions/settings)
+ * @param {Function} [onBatch] - Async callback receiving each batch of alerts; returning
+ * false skips the rest of the zip
+ * @returns {Promise<{ alerts: Array<Object>, alertCount: number, maxSince: number, parseErrors: Array<Object> }>} Collected alerts (empty when onBatch is used), total alert count, max entry number and malformed JSONL lines
+ */
+const extractAlertsFromZipStream = async (zipStream, limits, onBatch) => {
+  // pipeline destroys the download when extraction stops or fails, and the reverse
+  const zip = pipeline(zipStream, unzipper.Parse({ forceStream: true }), () => {});
+  let entryCount = 0;
+  let jsonEntryCount = 0;
+
   const allAlerts = [];
+  const allParseErrors = [];
+  let pendingAlerts = [];
+  let alertCount = 0;
+  let uncompressedBytes = 0;
   let maxSince = 0;
-  for (const entry of jsonEntries) {
-    const num = parseEntryNumber(entry.entryName);
+  let stopped = false;
+
+  const addAlerts = async (alerts) => {
+    alertCount += alerts.length;
+    if (!onBatch) {
+      allAlerts.push(...alerts);
+      return;
+    }
+    pendingAlerts.push(...alerts);
+    while (!stopped && pendingAlerts.length >= ALERT_BATCH_SIZE) {
+      stopped = (await onBatch(pendingAlerts.splice(0, ALERT_BATCH_SIZE))) === false;
+    }
+  };
+
+  for await (const entry of zip) {
+    entryCount++;
+    if (entryCount > limits.maxEntries) {
+      throw new Error(`Zip contains more than the limit of ${limits.maxEntries} entries`);
+    }
+    const entryName = entry.path;
+    if (
+      entry.type === 'Directory' ||
+      !(entryName.endsWith('.json') || entryName.endsWith('.jsonl'))
+    ) {
+      entry.autodrain();
+      continue;
+    }
+    const method = entry.vars.compressionMethod;
+    if (method !== ZIP_METHOD_STORED && method !== ZIP_METHOD_DEFLATED) {
+      throw new Error(
+        `Unsupported compression method ${method} for zip entry ${entryName}`
+      );
+    }
+    jsonEntryCount++;
+
+    const num = parseEntryNumber(entryName);
     if (num !== null && num > maxSince) maxSince = num;
-    const data = entry.getData();
-    const parsed = JSON.parse(data.toString('utf8'));
-    const alerts = Array.isArray(parsed) ? parsed : (parsed.alerts || []);
-    allAlerts.push(...alerts);
+
+    const isJsonl = entryName.endsWith('.jsonl');
+    const decoder = new StringDecoder('utf8');
+    const jsonParser = isJsonl ? null : createJsonAlertsParser();
+    let text = '';
+    let lineNumber = 0;
+
+    const parseLines = async (lines) => {
+      for (const line of lines) {
+        if (stopped) return;
+        lineNumber++;
+        try {
+          await addAlerts(parseJsonlLine(line));
+        } catch (error) {
+          if (!(error instanceof SyntaxError)) throw error;
+          allParseErrors.push({
+            entryName,
+            lineNumber,
+            message: error.message
+          });
+        }
+      }
+    };
+
+    for await (const chunk of entry) {
+      if (stopped) break;
+      uncompressedBytes += chunk.length;
+      if (uncompressedBytes > limits.maxUncompressedBytes) {
+        throw new Error(
+          `Zip uncompressed size exceeds the limit of ${limits.maxUncompressedBytes} bytes`
+        );
+      }
+
+      if (isJsonl) {
+        const lines = (text + decoder.write(chunk)).split(/\r?\n/);
+        text = lines.pop();
+        await parseLines(lines);
+      } else {
+        await addAlerts(jsonParser.write(decoder.write(chunk)));
+      }
+    }
+
+    if (stopped) {
+      break;
+    } else if (isJsonl) {
+      await parseLines([text + decoder.end()]);
+    } else {
+      await addAlerts(jsonParser.write(decoder.end()).concat(jsonParser.end()));
+    }
+  }
+
+  if (jsonEntryCount === 0) {
+    throw new Error('No JSON file found in zip');
+  }
+
+  if (onBatch && !stopped && pendingAlerts.length > 0) {
+    await onBatch(pendingAlerts);
+    pendingAlerts = [];
   }
-  return { alerts: allAlerts, maxSince };
+
+  return { alerts: allAlerts, alertCount, maxSince, parseErrors: allParseErrors };
 };
 
 /**
  * Get alerts from the API (proxy returns a zip; we extract and parse as JSON).
- * No pagination - single zip payload with alerts.
+ * No pagination - single zip payload with alerts. The zip is unzipped entry by entry as
+ * it downloads, and the download is aborted once it exceeds the compressed size,
+ * uncompressed size or entry count limit. A retried attempt re-reads the zip from the start; alerts
+ * already handed to onBatch are delivered again and merge into the cache as no-ops.
  * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Resolves with object containing alerts array
+ * @param {Object} [params] - Optional parameters
+ * @param {Function} [params.onBatch] - Async callback receiving alerts in batches as they are parsed;
+ * when provided, alerts are not accumulated and the returned alerts array is empty.
+ * Returning false stops parsing the rest of the download.
+ * @returns {Promise<Object>} Resolves with object containing alerts array, alertCount, maxSince, JSONL parseErrors and the request retry outcome
  */
-const getAlerts = async (options) => {
+const getAlerts = async (options, { onBatch } = {}) => {
   const Logger = getLogger();
 
   try {
+    const limits = getZipLimits(options);
+
     const response = await requestWithDefaults({
       options,
-      method: 'GET'
+      method: 'GET',
+      maxResponseBytes: limits.maxCompressedBytes,
+      onResponseStream: (zipStream) =>
+        extractAlertsFromZipStream(zipStream, limits, onBatch)
     });
 
-    const zipBuffer = Buffer.isBuffer(response.body) ? response.body : Buffer.from(response.body);
-    const { alerts, maxSince } = extractAlertsFromZipBuffer(zipBuffer);
+    const { alerts, alertCount, maxSince, parseErrors } = response.body;
+
+    if (parseErrors.length > 0) {
+      Logger.warn(
+        { parseErrorCount: parseErrors.length, parseErrors: parseErrors.slice(0, 20) },
+        'Skipped malformed JSONL lines in Dataminr API response'
+      );
+    }
 
     Logger.debug(
-      { alertCount: alerts.length, maxSince, statusCode: response.statusCode },
+      { alertCount, maxSince, statusCode: response.statusCode },
       'Dataminr API response received (from zip)'
     );
 
     return {
       alerts,
-      maxSince
+      alertCount,
+      maxSince,
+      parseErrors,
+      retry: response.retry
     };
   } catch (error) {
     const statusCode = error.statusCode || (error.meta && error.meta.statusCode);
@@ -85,26 +341,178 @@ const getAlerts = async (options) => {
   }
 };
 
+// Feed search in progress for getAlertById ({ alertId, lookup }), if any
+let pendingFeedLookup = null;
+// Time the last feed search started
+let lastFeedLookupAt = 0;
+// alertIds recently not found in the feed, with the time the miss expires
+const feedLookupMisses = new Map();
+// Alerts recently found in the feed ({ alert, expiresAt }), so a deep link can render
+// the alert it just found even when the alert is not cached or archived
+const feedLookupHits = new Map();
+
 /**
- * Get a single alert by ID from the API
+ * Drop the feed search results whose time to live has passed
+ * @param {number} now - Current time in milliseconds
+ * @returns {void}
+ */
+const pruneFeedLookupResults = (now) => {
+  feedLookupMisses.forEach((expiresAt, alertId) => {
+    if (expiresAt <= now) feedLookupMisses.delete(alertId);
+  });
+  feedLookupHits.forEach(({ expiresAt }, alertId) => {
+    if (expiresAt <= now) feedLookupHits.delete(alertId);
+  });
+};
+
+/**
+ * Find a single alert in the CAL feed
+ * The feed has no per-alert endpoint, so the available feed is downloaded and scanned in
+ * batches until the alert turns up. Each download is costly, so only one search runs at a
+ * time and searches start at most once per FEED_LOOKUP_MIN_INTERVAL_MS; a search that
+ * cannot start yet is skipped and reports when to try again. Found alerts are kept for
+ * FEED_LOOKUP_HIT_TTL_MS and an alertId that was not found is not searched again for
+ * FEED_LOOKUP_MISS_TTL_MS. Concurrent lookups of the same alert share one search.
+ * @param {string} alertId - Alert ID to find
+ * @param {Object} options - Configuration options
+ * @returns {Promise<Object>} Resolves with { alert, skipped, retryAfterMs }; alert is null
+ * if it is not in the feed or the search was skipped
+ */
+const findAlertInFeed = (alertId, options) => {
+  const Logger = getLogger();
+  const now = Date.now();
+
+  pruneFeedLookupResults(now);
+  if (feedLookupHits.has(alertId)) {
+    return Promise.resolve({
+      alert: feedLookupHits.get(alertId).alert,
+      skipped: false,
+      retryAfterMs: 0
+    });
+  }
+  if (feedLookupMisses.has(alertId)) {
+    Logger.debug({ alertId }, 'Skipped CAL feed lookup of an alert recently not found');
+    return Promise.resolve({ alert: null, skipped: false, retryAfterMs: 0 });
+  }
+
+  if (pendingFeedLookup && pendingFeedLookup.alertId === alertId) {
+    return pendingFeedLookup.lookup;
+  }
+  if (pendingFeedLookup || now - lastFeedLookupAt < FEED_LOOKUP_MIN_INTERVAL_MS) {
+    // A search that is still running past the interval is given another second
+    const retryAfterMs = Math.max(
+      lastFeedLookupAt + FEED_LOOKUP_MIN_INTERVAL_MS - now,
+      1000
+    );
+    Logger.debug(
+      { alertId, retryAfterMs },
+      'Skipped CAL feed lookup (another search ran recently)'
+    );
+    return Promise.resolve({ alert: null, skipped: true, retryAfterMs });
+  }
+
+  let foundAlert = null;
+  lastFeedLookupAt = now;
+  const lookup = getAlerts(
+    { ...options, since: 0 },
+    {
+      onBatch: (batch) => {
+        foundAlert = batch.find((alert) => alert && alert.alertId === alertId) || null;
+        return !foundAlert;
+      }
+    }
+  )
+    .then(() => {
+      if (foundAlert) {
+        feedLookupHits.set(alertId, {
+          alert: foundAlert,
+          expiresAt: Date.now() + FEED_LOOKUP_HIT_TTL_MS
+        });
+      } else {
+        feedLookupMisses.set(alertId, Date.now() + FEED_LOOKUP_MISS_TTL_MS);
+      }
+      return { alert: foundAlert, skipped: false, retryAfterMs: 0 };
+    })
+    .finally(() => {
+      pendingFeedLookup = null;
+    });
+
+  pendingFeedLookup = { alertId, lookup };
+  return lookup;
+};
+
+/**
+ * Get a single alert by ID
+ * The cache is checked first, then the archive. When options are provided the CAL feed
+ * is searched as a last resort; alerts that are nowhere to be found are reported as
+ * expired if they aged out of the cache or archive, and as not found otherwise. When the
+ * feed search is skipped because another search ran recently, the lookup reports
+ * ALERT_LOOKUP_STATUS.TRY_AGAIN with the time to wait.
  * @param {string} alertId - Alert ID to fetch
- * @returns {Promise<Object>} Resolves with alert object
+ * @param {Object} [options] - Configuration options; the feed is only searched when given
+ * @returns {Promise<Object>} Resolves with result object
+ * @returns {Object|null} returns.alert - Alert object, or null if not found
+ * @returns {string} returns.status - One of ALERT_LOOKUP_STATUS
+ * @returns {string|null} returns.source - Where the alert was found (cache, archive or api)
+ * @returns {string|null} returns.alertTimestamp - Timestamp of an expired alert
+ * @returns {number} [returns.retryAfterMs] - Time to wait before trying again (TRY_AGAIN)
  */
-const getAlertById = async (alertId) => {
+const getAlertById = async (alertId, options) => {
   const Logger = getLogger();
 
   if (!alertId) {
     throw new Error('Alert ID is required');
   }
 
+  const found = (alert, source) => ({
+    alert,
+    status: ALERT_LOOKUP_STATUS.FOUND,
+    source,
+    alertTimestamp: alert.alertTimestamp || null
+  });
+
   // Check cache first (no age filtering for direct lookups)
   const cachedAlert = getCachedAlertById(alertId);
 
   if (cachedAlert) {
     Logger.debug({ alertId }, 'Alert found in cache lookup)');
-    return cachedAlert;
+    return found(cachedAlert, 'cache');
+  }
+
+  // Alerts evicted from the cache are still archived until the retention period ends
+  const archivedAlert = getArchivedAlertById(alertId);
+  if (archivedAlert) {
+    Logger.debug({ alertId }, 'Alert found in archive lookup');
+    return found(archivedAlert, 'archive');
   }
-  return null;
+
+  if (options) {
+    const { alert: feedAlert, skipped, retryAfterMs } = await findAlertInFeed(
+      alertId,
+      options
+    );
+    if (feedAlert) {
+      Logger.debug({ alertId }, 'Alert found in CAL feed lookup');
+      return found(feedAlert, 'api');
+    }
+    if (skipped) {
+      return {
+        alert: null,
+        status: ALERT_LOOKUP_STATUS.TRY_AGAIN,
+        source: null,
+        alertTimestamp: null,
+        retryAfterMs
+      };
+    }
+  }
+
+  const expiredAlert = getExpiredAlert(alertId);
+  return {
+    alert: null,
+    status: expiredAlert ? ALERT_LOOKUP_STATUS.EXPIRED : ALERT_LOOKUP_STATUS.NOT_FOUND,
+    source: null,
+    alertTimestamp: expiredAlert ? expiredAlert.alertTimestamp : null
+  };
 };
 
 module.exports = {
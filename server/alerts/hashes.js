@@ -0,0 +1,132 @@
+const { getAlertThreats, THREAT_KINDS } = require('./threatProfiles');
+
+/** Hash algorithms recognized by the length of their hex digest */
+const HASH_ALGORITHMS_BY_LENGTH = {
+  32: 'MD5',
+  40: 'SHA1',
+  64: 'SHA256'
+};
+
+const HEX_REGEX = /^[0-9a-f]+$/i;
+
+/**
+ * Normalize a hash for comparison (trimmed, lowercase)
+ * @param {*} value - Hash value
+ * @returns {string} Normalized hash, or empty string for non-strings
+ */
+const normalizeHash = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+/**
+ * Detect the algorithm of a hash from its hex digest length
+ * @param {string} value - Hash value
+ * @returns {string|null} MD5, SHA1 or SHA256, or null if the value is not a hash
+ */
+const detectHashAlgorithm = (value) => {
+  const hash = normalizeHash(value);
+  if (!HEX_REGEX.test(hash)) return null;
+  return HASH_ALGORITHMS_BY_LENGTH[hash.length] || null;
+};
+
+/**
+ * Get the hash values an alert references
+ * Hashes come from the cyber metadata `hashValues` and from intel agent discovered
+ * entities whose name or aliases are hashes.
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>} Hashes with value (normalized) and type (as reported)
+ */
+const getAlertHashes = (alert) => {
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  const hashes = [];
+
+  (Array.isArray(cyber.hashValues) ? cyber.hashValues : []).forEach((hash) => {
+    if (hash && detectHashAlgorithm(hash.value)) {
+      hashes.push({ value: normalizeHash(hash.value), type: hash.type || '' });
+    }
+  });
+
+  (Array.isArray(alert.intelAgents) ? alert.intelAgents : []).forEach((agent) => {
+    if (agent.version !== 'current' || !Array.isArray(agent.discoveredEntities)) return;
+    agent.discoveredEntities.forEach((entity) => {
+      if (!entity) return;
+      [entity.name]
+        .concat(Array.isArray(entity.aliases) ? entity.aliases : [])
+        .filter((value) => detectHashAlgorithm(value))
+        .forEach((value) => hashes.push({ value: normalizeHash(value), type: '' }));
+    });
+  });
+
+  return hashes;
+};
+
+/**
+ * Aggregate what the cached alerts say about a hash
+ * @param {string} hash - Hash value that was looked up
+ * @param {Array<Object>} alerts - Alerts that reference the hash
+ * @returns {Object|null} Hash summary, or null if the value is not a hash or no alerts
+ * @returns {string} returns.value - Normalized hash
+ * @returns {string} returns.algorithm - Detected algorithm (MD5, SHA1 or SHA256)
+ * @returns {Array<string>} returns.reportedTypes - Hash types reported by the alerts when
+ * they differ from the detected algorithm
+ * @returns {Array<string>} returns.malware - Malware named in the alerts
+ * @returns {number} returns.alertCount - Number of alerts referencing the hash
+ * @returns {string|null} returns.firstSeen - Timestamp of the oldest alert
+ * @returns {string|null} returns.lastSeen - Timestamp of the newest alert
+ * @returns {Array<Object>} returns.alerts - Alerts (newest first) with where they
+ * referenced the hash
+ */
+const getHashSummary = (hash, alerts) => {
+  const value = normalizeHash(hash);
+  const algorithm = detectHashAlgorithm(value);
+  if (!algorithm || !Array.isArray(alerts) || alerts.length === 0) return null;
+
+  const reportedTypes = new Set();
+  const malware = new Map();
+  const alertTimestamps = [];
+
+  const referencingAlerts = alerts.map((alert) => {
+    const alertHashes = getAlertHashes(alert).filter((entry) => entry.value === value);
+    alertHashes.forEach((entry) => {
+      const reportedType = entry.type.toUpperCase().replace(/-/g, '');
+      if (reportedType && reportedType !== algorithm) reportedTypes.add(entry.type);
+    });
+    getAlertThreats(alert)
+      .filter((threat) => threat.kind === THREAT_KINDS.MALWARE)
+      .forEach((threat) => {
+        const key = threat.name.toLowerCase();
+        if (!malware.has(key)) malware.set(key, threat.name);
+      });
+    if (alert.alertTimestamp) alertTimestamps.push(alert.alertTimestamp);
+
+    return {
+      alertId: alert.alertId,
+      alertTimestamp: alert.alertTimestamp || null,
+      alertType: (alert.alertType && alert.alertType.name) || 'Alert',
+      headline: alert.headline || '',
+      // Alerts found through reference terms have no hash metadata
+      source: alertHashes.length > 0 ? 'metadata' : 'referenceTerm'
+    };
+  });
+
+  const sortedTimestamps = alertTimestamps.sort(
+    (a, b) => new Date(a).getTime() - new Date(b).getTime()
+  );
+
+  return {
+    value,
+    algorithm,
+    reportedTypes: Array.from(reportedTypes),
+    malware: Array.from(malware.values()),
+    alertCount: alerts.length,
+    firstSeen: sortedTimestamps[0] || null,
+    lastSeen: sortedTimestamps[sortedTimestamps.length - 1] || null,
+    alerts: referencingAlerts
+  };
+};
+
+module.exports = {
+  normalizeHash,
+  detectHashAlgorithm,
+  getAlertHashes,
+  getHashSummary
+};
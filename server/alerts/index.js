@@ -1,5 +1,7 @@
 const { getAlerts, getAlertById } = require('./getAlerts');
 const pollAlerts = require('./pollAlerts');
+const { findAlertsForEntity, findCachedAlertsForEntity } = require('./alertMatcher');
+const { refreshLists } = require('./lists');
 
 const {
   resetPollingState,
@@ -12,6 +14,9 @@ module.exports = {
   getAlerts,
   getAlertById,
   pollAlerts,
+  findAlertsForEntity,
+  findCachedAlertsForEntity,
+  refreshLists,
   resetPollingState,
   getCachedAlerts,
   addAlertsToCache,
@@ -0,0 +1,63 @@
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const { getCachedAlerts, setCachedLists } = require('./stateManager');
+
+/**
+ * Get the value used to identify a matched list (id, falling back to name)
+ * @param {Object} list - List object from alert.listsMatched
+ * @returns {string} List value, or empty string if the list has no id or name
+ */
+const getListValue = (list) => {
+  if (!list) return '';
+  const value = list.id !== undefined && list.id !== null ? list.id : list.name;
+  return value !== undefined && value !== null ? String(value) : '';
+};
+
+/**
+ * Derive the watchlists from the lists matched by alerts
+ * The CAL feed does not expose a list endpoint, so lists are collected from
+ * `alert.listsMatched` of the cached alerts.
+ * @param {Array<Object>} alerts - Alert objects
+ * @returns {Array<Object>} List objects with value, display and alertCount properties (sorted by display)
+ */
+const getListsFromAlerts = (alerts) => {
+  const listsByValue = new Map();
+
+  alerts.forEach((alert) => {
+    if (!Array.isArray(alert.listsMatched)) return;
+    alert.listsMatched.forEach((list) => {
+      const value = getListValue(list);
+      if (!value) return;
+      const existing = listsByValue.get(value);
+      if (existing) {
+        existing.alertCount++;
+      } else {
+        listsByValue.set(value, { value, display: list.name || value, alertCount: 1 });
+      }
+    });
+  });
+
+  return Array.from(listsByValue.values()).sort((a, b) =>
+    a.display.localeCompare(b.display)
+  );
+};
+
+/**
+ * Refresh the cached lists from the alerts currently in the cache
+ * @returns {Array<Object>} Refreshed list objects
+ */
+const refreshLists = () => {
+  const Logger = getLogger();
+  const lists = getListsFromAlerts(getCachedAlerts());
+  setCachedLists(lists);
+  Logger.debug({ listCount: lists.length }, 'Refreshed lists from cached alerts');
+  return lists;
+};
+
+module.exports = {
+  getListValue,
+  getListsFromAlerts,
+  refreshLists
+};
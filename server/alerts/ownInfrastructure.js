@@ -0,0 +1,182 @@
+const { parseIpAddress, parseCidr, isIpInCidr } = require('../ipAddress');
+
+// Infrastructure parsed from the last seen `ownInfrastructure` option (parsed once per change)
+let parsedInfrastructureText = null;
+let parsedInfrastructure = { ranges: [], asns: [] };
+
+const ASN_REGEX = /^(?:as)?\s*(\d{1,10})$/i;
+
+/**
+ * Normalize an autonomous system number (e.g. `AS15169`, `as 15169` or `15169`)
+ * @param {*} value - ASN value
+ * @returns {string|null} ASN in `AS15169` form, or null if the value is not an ASN
+ */
+const normalizeAsn = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = ASN_REGEX.exec(String(value).trim());
+  if (!match) return null;
+  const number = Number(match[1]);
+  return number <= 4294967295 ? `AS${number}` : null;
+};
+
+/**
+ * Parse and validate the own infrastructure option
+ * @param {string} infrastructureText - CIDR ranges, IP addresses and ASNs separated by
+ * commas or new lines
+ * @returns {Object} Result object
+ * @returns {Array<Object>} returns.ranges - Ranges with display and cidr properties
+ * @returns {Array<string>} returns.asns - Normalized ASNs
+ * @returns {Array<string>} returns.errors - Validation error messages
+ */
+const parseOwnInfrastructure = (infrastructureText) => {
+  if (typeof infrastructureText !== 'string' || infrastructureText.trim() === '') {
+    return { ranges: [], asns: [], errors: [] };
+  }
+
+  return infrastructureText
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce(
+      (agg, entry) => {
+        const cidr = parseCidr(entry);
+        const asn = !cidr && normalizeAsn(entry);
+        if (cidr) {
+          agg.ranges.push({ display: entry, cidr });
+        } else if (asn) {
+          if (!agg.asns.includes(asn)) agg.asns.push(asn);
+        } else {
+          agg.errors.push(`Invalid CIDR range or ASN ${entry}`);
+        }
+        return agg;
+      },
+      { ranges: [], asns: [], errors: [] }
+    );
+};
+
+/**
+ * Get the parsed own infrastructure from options
+ * @param {Object} [options] - Configuration options (ownInfrastructure)
+ * @returns {Object} Infrastructure with ranges and asns properties
+ */
+const getOwnInfrastructure = (options) => {
+  const infrastructureText = (options && options.ownInfrastructure) || '';
+  if (infrastructureText !== parsedInfrastructureText) {
+    const { ranges, asns } = parseOwnInfrastructure(infrastructureText);
+    parsedInfrastructureText = infrastructureText;
+    parsedInfrastructure = { ranges, asns };
+  }
+  return parsedInfrastructure;
+};
+
+/**
+ * Find the own infrastructure ranges an IP address falls inside
+ * @param {string} ip - IP address
+ * @param {Object} infrastructure - Infrastructure from getOwnInfrastructure
+ * @returns {Array<Object>} Matching ranges
+ */
+const getRangesForIp = (ip, infrastructure) => {
+  const parsed = parseIpAddress(ip);
+  if (!parsed) return [];
+  return infrastructure.ranges.filter((range) => isIpInCidr(parsed, range.cidr));
+};
+
+/**
+ * Check whether an IP address is inside one of our own infrastructure ranges
+ * @param {string} ip - IP address
+ * @param {Object} [options] - Configuration options (ownInfrastructure)
+ * @returns {boolean} True if the address is part of our own infrastructure
+ */
+const isOwnInfrastructureIp = (ip, options) =>
+  getRangesForIp(ip, getOwnInfrastructure(options)).length > 0;
+
+/**
+ * Evaluate an alert's cyber addresses and AS organizations against our own infrastructure
+ * @param {Object} infrastructure - Infrastructure from getOwnInfrastructure
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>|null} Matches ({ type, range | asn, value }), or null if none
+ * matched
+ */
+const evaluateOwnInfrastructure = (infrastructure, alert) => {
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  const matches = [];
+
+  (Array.isArray(cyber.addresses) ? cyber.addresses : []).forEach((address) => {
+    if (!address || !address.ip) return;
+    getRangesForIp(address.ip, infrastructure).forEach((range) =>
+      matches.push({ type: 'cidr', range: range.display, value: address.ip })
+    );
+  });
+
+  (Array.isArray(cyber.asOrgs) ? cyber.asOrgs : []).forEach((asOrg) => {
+    const asn = asOrg && normalizeAsn(asOrg.asn);
+    if (asn && infrastructure.asns.includes(asn)) {
+      matches.push({ type: 'asn', asn, value: asOrg.asOrg || asn });
+    }
+  });
+
+  return matches.length > 0 ? matches : null;
+};
+
+/**
+ * Attach own infrastructure matches to alerts as `infrastructureMatches`
+ * @param {Array<Object>} alerts - Alert objects
+ * @param {Object} [options] - Configuration options (ownInfrastructure)
+ * @returns {Array<Object>} Alerts, with infrastructureMatches on alerts touching our
+ * infrastructure
+ */
+const applyOwnInfrastructure = (alerts, options) => {
+  const infrastructure = getOwnInfrastructure(options);
+  if (infrastructure.ranges.length === 0 && infrastructure.asns.length === 0) {
+    return alerts;
+  }
+
+  return alerts.map((alert) => {
+    const infrastructureMatches = evaluateOwnInfrastructure(infrastructure, alert);
+    return infrastructureMatches ? { ...alert, infrastructureMatches } : alert;
+  });
+};
+
+/**
+ * Check whether an alert touches our own infrastructure
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if the alert has own infrastructure matches
+ */
+const isAlertOnOwnInfrastructure = (alert) =>
+  Boolean(
+    alert &&
+      Array.isArray(alert.infrastructureMatches) &&
+      alert.infrastructureMatches.length > 0
+  );
+
+/**
+ * Find the alerts that touch the own infrastructure range(s) an IP entity belongs to
+ * Lets an analyst searching one of our own IPs see the alerts flagged for that range.
+ * @param {Object} entity - Entity object with value property
+ * @param {Array<Object>} alerts - Alerts to search (sorted newest first)
+ * @param {Object} [options] - Configuration options (ownInfrastructure)
+ * @returns {Array<Object>} Matching alerts (newest first)
+ */
+const findOwnInfrastructureAlerts = (entity, alerts, options) => {
+  const infrastructure = getOwnInfrastructure(options);
+  const ranges = getRangesForIp(entity && entity.value, infrastructure).map(
+    (range) => range.display
+  );
+  if (ranges.length === 0 || !Array.isArray(alerts)) return [];
+
+  return alerts.filter(
+    (alert) =>
+      isAlertOnOwnInfrastructure(alert) &&
+      alert.infrastructureMatches.some((match) => ranges.includes(match.range))
+  );
+};
+
+module.exports = {
+  normalizeAsn,
+  parseOwnInfrastructure,
+  getOwnInfrastructure,
+  isOwnInfrastructureIp,
+  applyOwnInfrastructure,
+  isAlertOnOwnInfrastructure,
+  findOwnInfrastructureAlerts
+};
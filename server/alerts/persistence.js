@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  logging: { getLogger }
+} = require('polarity-integration-utils');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Create a persistence store that keeps a JSON snapshot of the cache on disk.
+ * Any object implementing `load()` and `save(snapshot)` can be used in its place
+ * (see stateManager.setPersistenceStore).
+ * @param {string} filePath - Absolute path of the snapshot file
+ * @returns {Object} Store object
+ * @returns {Function} returns.load - Returns the saved snapshot, or null if none exists
+ * @returns {Function} returns.save - Writes a snapshot (atomically, via a temp file)
+ */
+const createJsonFileStore = (filePath) => {
+  /**
+   * Load the snapshot from disk
+   * @returns {Object|null} Snapshot object or null
+   */
+  const load = () => {
+    const Logger = getLogger();
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+        Logger.warn({ filePath }, 'Ignoring persisted state with unknown version');
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      Logger.error({ error, filePath }, 'Failed to read persisted state');
+      return null;
+    }
+  };
+
+  /**
+   * Save the snapshot to disk
+   * @param {Object} snapshot - Snapshot object ({ pollingState, alerts, subscriptions })
+   * @returns {void}
+   */
+  const save = (snapshot) => {
+    const tempFilePath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      tempFilePath,
+      JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot })
+    );
+    fs.renameSync(tempFilePath, filePath);
+  };
+
+  return { load, save };
+};
+
+module.exports = {
+  createJsonFileStore
+};
@@ -5,17 +5,16 @@ const { getPollingState, updatePollingState } = require('./stateManager');
 const { processAlerts } = require('./alertProcessor');
 
 let isPollingAlertsInProgress = false;
+// Options of a poll requested while another poll was in progress (run once it finishes)
+let queuedPollOptions = null;
 
 /**
- * Poll the API for new alerts (single zip response; no pagination).
+ * Run a single polling cycle
  * @param {Object} options - Configuration options
  * @returns {Promise<Object>} Resolves with polling result object
  */
-const pollAlerts = async (options) => {
+const runPoll = async (options) => {
   const Logger = getLogger();
-  if (isPollingAlertsInProgress) return;
-  isPollingAlertsInProgress = true;
-
   let totalAlertsProcessed = 0;
 
   try {
@@ -23,25 +22,30 @@ const pollAlerts = async (options) => {
 
     const state = getPollingState();
     const since = state.lastSince ?? 0;
-    const { alerts, maxSince } = await getAlerts({ ...options, since });
+    // Alerts are processed in batches as they are extracted to bound memory use
+    const { alertCount, maxSince, retry } = await getAlerts(
+      { ...options, since },
+      { onBatch: (batch) => processAlerts(batch, options) }
+    );
+    totalAlertsProcessed = alertCount;
 
-    if (alerts.length > 0) {
-      processAlerts(alerts, options);
-      totalAlertsProcessed = alerts.length;
-    }
+    // The cursor is reset when the CAL URL or owner changes; don't overwrite the new
+    // cursor with one from the previous feed
+    const cursorChanged = (getPollingState().lastSince ?? 0) !== since;
 
     updatePollingState({
       lastPollTime: Date.now(),
       alertCount: totalAlertsProcessed,
       totalAlertsProcessed: state.totalAlertsProcessed + totalAlertsProcessed,
-      lastSince: maxSince
+      ...(!cursorChanged && { lastSince: maxSince }),
+      lastRequestRetry: retry || null,
+      lastPollError: null
     });
 
     Logger.debug(
-      { totalAlertsFetched: alerts.length, totalAlertsProcessed },
+      { totalAlertsFetched: alertCount, totalAlertsProcessed },
       'Polling cycle completed'
     );
-    isPollingAlertsInProgress = false;
 
     return {
       success: true,
@@ -49,12 +53,17 @@ const pollAlerts = async (options) => {
       hasMore: false
     };
   } catch (error) {
-    isPollingAlertsInProgress = false;
     const statusCode = error.statusCode || (error.meta && error.meta.statusCode);
+    updatePollingState({
+      lastPollTime: Date.now(),
+      lastRequestRetry: error.retry || null,
+      lastPollError: error.message || error.detail || 'Polling failed'
+    });
+
     if (statusCode === 429) {
       Logger.warn(
-        { statusCode: 429, totalAlertsProcessed },
-        'Rate limit exceeded during polling - will retry on next interval'
+        { statusCode: 429, totalAlertsProcessed, retry: error.retry },
+        'Rate limit exceeded during polling after retries - will retry on next interval'
       );
       return {
         success: false,
@@ -67,7 +76,8 @@ const pollAlerts = async (options) => {
         statusCode: statusCode,
         message: error.message || error.detail || 'Unknown error',
         detail: error.detail,
-        totalAlertsProcessed
+        totalAlertsProcessed,
+        retry: error.retry
       },
       'Polling Dataminr API Failed'
     );
@@ -79,4 +89,30 @@ const pollAlerts = async (options) => {
   }
 };
 
+/**
+ * Poll the API for new alerts (single zip response; no pagination).
+ * If a poll is already in progress, the request is queued and runs with the latest
+ * options once the current poll finishes.
+ * @param {Object} options - Configuration options
+ * @returns {Promise<Object|undefined>} Resolves with polling result object (undefined if queued)
+ */
+const pollAlerts = async (options) => {
+  if (isPollingAlertsInProgress) {
+    queuedPollOptions = options;
+    return;
+  }
+  isPollingAlertsInProgress = true;
+
+  try {
+    return await runPoll(options);
+  } finally {
+    isPollingAlertsInProgress = false;
+    if (queuedPollOptions) {
+      const nextOptions = queuedPollOptions;
+      queuedPollOptions = null;
+      pollAlerts(nextOptions);
+    }
+  }
+};
+
 module.exports = pollAlerts;
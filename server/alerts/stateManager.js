@@ -6,17 +6,253 @@ const {
   ALERTS_KEY,
   LISTS_KEY,
   ALERTS_MAP_KEY,
-  CACHE_MAX_AGE_MS,
-  CACHE_MAX_ITEMS,
-  DEFAULT_ALERT_TYPES_TO_WATCH
+  ALERTS_INDEX_KEY,
+  SUBSCRIPTIONS_KEY,
+  EXPIRED_ALERTS_KEY,
+  EXPIRED_ALERTS_MAX_ITEMS,
+  PERSIST_DELAY_MS
 } = require('../../constants');
+const {
+  getAlertTypesToWatch,
+  getCacheMaxAgeMs,
+  getCacheMaxItems,
+  getArchiveRetentionMs
+} = require('../userOptions/settings');
+const {
+  createAlertIndex,
+  addAlertToIndex,
+  removeAlertFromIndex,
+  getAlertIdsFromIndex
+} = require('./alertIndex');
+const { mergeAlertVersion } = require('./alertVersions');
 
 // Native in-memory cache stores
 const cache = {
   [STATE_KEY]: null,
   [ALERTS_KEY]: [],
   [LISTS_KEY]: [],
-  [ALERTS_MAP_KEY]: new Map()
+  [ALERTS_MAP_KEY]: new Map(),
+  [ALERTS_INDEX_KEY]: createAlertIndex(),
+  [SUBSCRIPTIONS_KEY]: {},
+  // alertId -> { alertTimestamp, expiredAt } of alerts that aged out (oldest first)
+  [EXPIRED_ALERTS_KEY]: new Map()
+};
+
+// Optional persistence store ({ load, save }) written shortly after cache updates
+let persistenceStore = null;
+// Pending write to the persistence store (see persistCache)
+let persistTimeout = null;
+// Optional on-disk alert archive (see archive.createAlertArchive) searched by lookups.
+// Archive failures are logged by the functions below and never interrupt polling.
+let alertArchive = null;
+
+/**
+ * Set the persistence store used to save and restore the cache across restarts
+ * @param {Object|null} store - Store with load() and save(snapshot) functions, or null to disable
+ * @returns {void}
+ */
+const setPersistenceStore = (store) => {
+  persistenceStore = store;
+};
+
+/**
+ * Set the archive that keeps alerts beyond the in-memory cache
+ * @param {Object|null} archive - Archive created by createAlertArchive, or null to disable
+ * @returns {void}
+ */
+const setAlertArchive = (archive) => {
+  alertArchive = archive;
+};
+
+/**
+ * Remember alerts that aged out of the cache or archive
+ * Lets getAlertById report an alert as expired rather than not found. Only the newest
+ * EXPIRED_ALERTS_MAX_ITEMS alertIds are kept.
+ * @param {Array<Object>} alerts - Alerts (or { alertId, alertTimestamp } objects)
+ * @returns {void}
+ */
+const expireAlerts = (alerts) => {
+  const expiredAlerts = cache[EXPIRED_ALERTS_KEY];
+  const expiredAt = Date.now();
+  alerts.forEach((alert) => {
+    if (!alert || !alert.alertId) return;
+    expiredAlerts.delete(alert.alertId);
+    expiredAlerts.set(alert.alertId, {
+      alertTimestamp: alert.alertTimestamp || null,
+      expiredAt
+    });
+  });
+  while (expiredAlerts.size > EXPIRED_ALERTS_MAX_ITEMS) {
+    expiredAlerts.delete(expiredAlerts.keys().next().value);
+  }
+};
+
+/**
+ * Get the expiry record of an alert that aged out of the cache or archive
+ * @param {string} alertId - Alert ID to look up
+ * @returns {Object|null} Record with alertTimestamp and expiredAt, or null if the alert
+ * is not known to have expired
+ */
+const getExpiredAlert = (alertId) =>
+  (alertId && cache[EXPIRED_ALERTS_KEY].get(alertId)) || null;
+
+/**
+ * Add alerts to the archive (if configured)
+ * @param {Array<Object>} alerts - Alert objects
+ * @param {Object} [options] - Configuration options (archiveRetentionDays)
+ * @returns {number} Number of alerts archived (0 if the archive could not be written)
+ */
+const archiveAlerts = (alerts, options) => {
+  if (!alertArchive) return 0;
+
+  try {
+    return alertArchive.add(alerts, getArchiveRetentionMs(options));
+  } catch (error) {
+    getLogger().error({ error }, 'Failed to archive alerts');
+    return 0;
+  }
+};
+
+/**
+ * Remove the archived days older than the retention period and compact the remaining
+ * days (if an archive is configured)
+ * Removed alerts are remembered as expired.
+ * @param {Object} options - Configuration options (archiveRetentionDays)
+ * @returns {number} Number of alerts removed
+ */
+const pruneArchive = (options) => {
+  if (!alertArchive) return 0;
+
+  try {
+    const expired = alertArchive.prune(getArchiveRetentionMs(options));
+    expireAlerts(expired);
+    alertArchive.compact();
+    return expired.length;
+  } catch (error) {
+    getLogger().error({ error }, 'Failed to prune alert archive');
+    return 0;
+  }
+};
+
+/**
+ * Read several alerts from the archive (if configured)
+ * Alerts are left out, as if they were not archived, when the archive cannot be read.
+ * @param {Array<string>} alertIds - Alert IDs
+ * @returns {Map<string, Object>} alertId -> alert, for the alerts that are archived
+ */
+const getArchivedAlertsById = (alertIds) => {
+  if (!alertArchive || alertIds.length === 0) return new Map();
+
+  try {
+    return alertArchive.getAlertsById(alertIds);
+  } catch (error) {
+    getLogger().error({ error }, 'Failed to read alerts from archive');
+    return new Map();
+  }
+};
+
+/**
+ * Store new versions of archived alerts (if an archive is configured)
+ * @param {Array<Object>} alerts - Updated alert objects
+ * @returns {void}
+ */
+const archiveAlertUpdates = (alerts) => {
+  if (!alertArchive || alerts.length === 0) return;
+
+  try {
+    alertArchive.update(alerts);
+  } catch (error) {
+    getLogger().error({ error }, 'Failed to archive alert updates');
+  }
+};
+
+/**
+ * Write the polling state and cached alerts to the persistence store now (if configured)
+ * Cancels the pending write scheduled by persistCache; called at shutdown so the latest
+ * state survives a restart. Persistence failures are logged and never interrupt polling.
+ * @returns {void}
+ */
+const flushPersistedCache = () => {
+  if (persistTimeout) {
+    clearTimeout(persistTimeout);
+    persistTimeout = null;
+  }
+  if (!persistenceStore) return;
+
+  try {
+    persistenceStore.save({
+      pollingState: cache[STATE_KEY],
+      alerts: cache[ALERTS_KEY] || [],
+      subscriptions: cache[SUBSCRIPTIONS_KEY] || {},
+      expiredAlerts: Array.from(cache[EXPIRED_ALERTS_KEY].entries())
+    });
+  } catch (error) {
+    getLogger().error({ error }, 'Failed to persist alert cache');
+  }
+};
+
+/**
+ * Schedule a write of the polling state and cached alerts to the persistence store
+ * Updates made within PERSIST_DELAY_MS of the first unsaved update are written together,
+ * so a poll that adds many batches writes the snapshot once.
+ * @returns {void}
+ */
+const persistCache = () => {
+  if (!persistenceStore || persistTimeout) return;
+  persistTimeout = setTimeout(flushPersistedCache, PERSIST_DELAY_MS);
+};
+
+/**
+ * Restore the polling state and cached alerts from the persistence store (if configured)
+ * Alerts older than the maximum cache age are dropped (and remembered as expired); the alertId map and entity indexes are rebuilt.
+ * @param {Object} [options] - Configuration options (cacheMaxAgeHours); defaults are used when omitted
+ * @returns {Object} Result object
+ * @returns {number} returns.alerts - Number of alerts restored
+ * @returns {number} returns.lastSince - Restored `since` cursor
+ */
+const restoreCache = (options) => {
+  const Logger = getLogger();
+  const snapshot = persistenceStore ? persistenceStore.load() : null;
+  if (!snapshot) {
+    return { alerts: 0, lastSince: getPollingState().lastSince };
+  }
+
+  const cutoffTime = Date.now() - getCacheMaxAgeMs(options);
+  const isCurrent = (alert) =>
+    !alert.alertTimestamp || new Date(alert.alertTimestamp).getTime() > cutoffTime;
+  const snapshotAlerts = (Array.isArray(snapshot.alerts) ? snapshot.alerts : []).filter(
+    Boolean
+  );
+  const alerts = snapshotAlerts.filter(isCurrent);
+
+  const alertsMap = new Map();
+  const alertsIndex = createAlertIndex();
+  alerts.forEach((alert) => {
+    if (alert.alertId) {
+      alertsMap.set(alert.alertId, alert);
+      addAlertToIndex(alertsIndex, alert);
+    }
+  });
+
+  cache[STATE_KEY] = snapshot.pollingState || null;
+  cache[ALERTS_KEY] = alerts;
+  cache[ALERTS_MAP_KEY] = alertsMap;
+  cache[ALERTS_INDEX_KEY] = alertsIndex;
+  cache[SUBSCRIPTIONS_KEY] =
+    snapshot.subscriptions && typeof snapshot.subscriptions === 'object'
+      ? snapshot.subscriptions
+      : {};
+  cache[EXPIRED_ALERTS_KEY] = new Map(
+    (Array.isArray(snapshot.expiredAlerts) ? snapshot.expiredAlerts : []).filter(
+      (entry) => Array.isArray(entry) && entry[0] && entry[1]
+    )
+  );
+  expireAlerts(snapshotAlerts.filter((alert) => !isCurrent(alert)));
+
+  const { lastSince } = getPollingState();
+  Logger.info({ alerts: alerts.length, lastSince }, 'Restored persisted alert cache');
+
+  return { alerts: alerts.length, lastSince };
 };
 
 /**
@@ -27,6 +263,8 @@ const cache = {
  * @returns {number} returns.alertCount - Number of alerts in last poll
  * @returns {number} returns.totalAlertsProcessed - Total alerts processed since reset
  * @returns {number} returns.lastSince - Max zip entry number from last poll (used as `since` on next request)
+ * @returns {Object|null} returns.lastRequestRetry - Retry outcome of the last CAL request ({ attempts, outcome, statusCode })
+ * @returns {Object|null} returns.backfill - Status of the last backfill ({ since, status, startedAt, completedAt, alertsProcessed, alertsArchived, error, attempts, nextAttemptAt })
  */
 const getPollingState = () => {
   return (
@@ -35,7 +273,10 @@ const getPollingState = () => {
       lastPollTime: null,
       alertCount: 0,
       totalAlertsProcessed: 0,
-      lastSince: 0
+      lastSince: 0,
+      lastRequestRetry: null,
+      lastPollError: null,
+      backfill: null
     }
   );
 };
@@ -48,6 +289,9 @@ const getPollingState = () => {
  * @param {number} [updates.alertCount] - Number of alerts in current poll
  * @param {number} [updates.totalAlertsProcessed] - Total alerts processed
  * @param {number} [updates.lastSince] - Max zip entry number for next `since` query param
+ * @param {Object|null} [updates.lastRequestRetry] - Retry outcome of the last CAL request
+ * @param {string|null} [updates.lastPollError] - Error message of the last failed poll
+ * @param {Object|null} [updates.backfill] - Status of the last backfill
  * @returns {Object} Updated polling state object
  */
 const updatePollingState = (updates) => {
@@ -57,6 +301,7 @@ const updatePollingState = (updates) => {
     ...updates
   };
   cache[STATE_KEY] = newState;
+  persistCache();
   return newState;
 };
 
@@ -66,6 +311,7 @@ const updatePollingState = (updates) => {
  */
 const resetPollingState = () => {
   cache[STATE_KEY] = null;
+  persistCache();
 };
 
 /**
@@ -91,35 +337,41 @@ const getCachedAlerts = (alertFilterTimestamp = null) => {
   });
 };
 
-/** Normalized set of alert type names to cache (lowercase) */
-const getAlertTypesToWatchSet = () => {
-  const types = DEFAULT_ALERT_TYPES_TO_WATCH || [];
-  return new Set(
-    types.map((t) =>
-      t && typeof t === 'object' && t.value
-        ? String(t.value).toLowerCase()
-        : String(t).toLowerCase()
-    )
-  );
-};
+/**
+ * Normalized set of alert type names to cache (lowercase)
+ * @param {Object} [options] - Configuration options (alertTypesToWatch)
+ * @returns {Set<string>} Alert type names to cache
+ */
+const getAlertTypesToWatchSet = (options) => new Set(getAlertTypesToWatch(options));
 
 /**
  * Add alerts to the global cache
  * Alerts are kept sorted by timestamp (newest first) for efficient timestamp lookups
- * Also maintains a Map for O(1) lookups by alertId
- * Only alerts whose type is in DEFAULT_ALERT_TYPES_TO_WATCH are added.
+ * Also maintains a Map for O(1) lookups by alertId and per-entity-type inverted
+ * indexes (IP, domain, hash, CVE, threat actor -> alertIds) for O(1) entity lookups
+ * Only alerts whose type is in the configured alert types to watch (or that matched an
+ * alert rule, mention a watch term or touch our own infrastructure) are added.
+ * Added alerts are also written to the archive (if configured), including alerts too old
+ * for the cache, so lookups can find them until the archive retention period ends.
+ * Alerts already cached or archived are merged as a new version (see mergeAlertVersion)
+ * when their content changed, and ignored otherwise.
  * @param {Array<Object>} alerts - Array of alert objects to add (should be sorted newest first)
+ * @param {Object} [options] - Configuration options (alertTypesToWatch, cacheMaxAgeHours, cacheMaxItems,
+ * archiveRetentionDays); defaults from constants.js are used when omitted
  * @returns {Object} Result object
  * @returns {number} returns.added - Number of new alerts added
  * @returns {number} returns.total - Total alerts in cache after adding
+ * @returns {number} returns.archived - Number of new alerts archived
+ * @returns {number} returns.updated - Number of alerts merged as a new version
  */
-const addAlertsToCache = (alerts) => {
+const addAlertsToCache = (alerts, options) => {
   const Logger = getLogger();
   if (!alerts || alerts.length === 0) {
-    return { added: 0, total: cache[ALERTS_KEY]?.length || 0 };
+    return { added: 0, total: cache[ALERTS_KEY]?.length || 0, archived: 0, updated: 0 };
   }
 
-  const alertTypesSet = getAlertTypesToWatchSet();
+  const alertTypesSet = getAlertTypesToWatchSet(options);
+  const cacheMaxItems = getCacheMaxItems(options);
   const allowedAlerts =
     alertTypesSet.size === 0
       ? alerts
@@ -128,22 +380,67 @@ const addAlertsToCache = (alerts) => {
             alert.alertType && alert.alertType.name
               ? alert.alertType.name.toLowerCase()
               : 'alert';
-          return alertTypesSet.has(name);
+          // Rules that only route or tag an alert must still get it to its users
+          const ruleMatched =
+            alert.ruleEvaluation && alert.ruleEvaluation.matchedRules.length > 0;
+          return (
+            alertTypesSet.has(name) ||
+            Boolean(ruleMatched || alert.watchMatches || alert.infrastructureMatches)
+          );
         });
 
   if (allowedAlerts.length === 0) {
-    return { added: 0, total: cache[ALERTS_KEY]?.length || 0 };
+    return { added: 0, total: cache[ALERTS_KEY]?.length || 0, archived: 0, updated: 0 };
   }
 
-  const existingAlerts = cache[ALERTS_KEY] || [];
+  let existingAlerts = cache[ALERTS_KEY] || [];
   const existingMap = cache[ALERTS_MAP_KEY] || new Map();
+  const existingIndex = cache[ALERTS_INDEX_KEY] || createAlertIndex();
+
+  // Alerts we already hold are merged as a new version instead of being added again
+  const archivedAlerts = getArchivedAlertsById(
+    allowedAlerts
+      .filter((alert) => alert.alertId && !existingMap.has(alert.alertId))
+      .map((alert) => alert.alertId)
+  );
+  const updatedAlerts = [];
+  const incomingAlerts = allowedAlerts.filter((alert) => {
+    const previousAlert =
+      alert.alertId &&
+      (existingMap.get(alert.alertId) || archivedAlerts.get(alert.alertId));
+    if (!previousAlert) return true;
+
+    const mergedAlert = mergeAlertVersion(previousAlert, alert);
+    if (mergedAlert) updatedAlerts.push(mergedAlert);
+    return false;
+  });
+
+  const archived = archiveAlerts(incomingAlerts, options);
+  archiveAlertUpdates(updatedAlerts);
+
+  // Replace the cached versions of updated alerts
+  const cachedUpdates = new Map(
+    updatedAlerts
+      .filter((alert) => existingMap.has(alert.alertId))
+      .map((alert) => [alert.alertId, alert])
+  );
+  if (cachedUpdates.size > 0) {
+    cachedUpdates.forEach((alert, alertId) => {
+      removeAlertFromIndex(existingIndex, existingMap.get(alertId));
+      addAlertToIndex(existingIndex, alert);
+      existingMap.set(alertId, alert);
+    });
+    existingAlerts = existingAlerts.map(
+      (alert) => (alert.alertId && cachedUpdates.get(alert.alertId)) || alert
+    );
+  }
 
   // Filter out duplicates from incoming alerts using existing map
   const now = Date.now();
-  const cutoffTime = now - CACHE_MAX_AGE_MS;
+  const cutoffTime = now - getCacheMaxAgeMs(options);
   const newAlertsToAdd = [];
 
-  allowedAlerts.forEach((alert) => {
+  incomingAlerts.forEach((alert) => {
     if (!alert.alertId) {
       // No ID - add it but it won't be in map
       newAlertsToAdd.push(alert);
@@ -165,24 +462,34 @@ const addAlertsToCache = (alerts) => {
 
     newAlertsToAdd.push(alert);
     existingMap.set(alert.alertId, alert); // Add to map immediately
+    addAlertToIndex(existingIndex, alert);
   });
 
   if (newAlertsToAdd.length === 0) {
-    return { added: 0, total: existingAlerts.length };
+    if (cachedUpdates.size > 0) {
+      cache[ALERTS_KEY] = existingAlerts;
+      persistCache();
+    }
+    return {
+      added: 0,
+      total: existingAlerts.length,
+      archived,
+      updated: updatedAlerts.length
+    };
   }
 
   // Merge new alerts with existing (new alerts should be newer, so prepend)
   const allAlerts = [...newAlertsToAdd, ...existingAlerts];
 
-  // FIFO when over limit: keep only the newest CACHE_MAX_ITEMS (evict oldest first)
+  // FIFO when over limit: keep only the newest cacheMaxItems (evict oldest first)
   let filteredAlerts = allAlerts;
-  if (allAlerts.length > CACHE_MAX_ITEMS) {
+  if (allAlerts.length > cacheMaxItems) {
     const sorted = [...allAlerts].sort((a, b) => {
       const timeA = a.alertTimestamp ? new Date(a.alertTimestamp).getTime() : 0;
       const timeB = b.alertTimestamp ? new Date(b.alertTimestamp).getTime() : 0;
       return timeB - timeA;
     });
-    filteredAlerts = sorted.slice(0, CACHE_MAX_ITEMS);
+    filteredAlerts = sorted.slice(0, cacheMaxItems);
   } else if (allAlerts.length > 10) {
     // Under limit but check order (newest first)
     let needsSort = false;
@@ -211,15 +518,25 @@ const addAlertsToCache = (alerts) => {
         existingMap.set(alert.alertId, alert);
       }
     });
+
+    // Drop evicted alerts from the entity indexes and remember them as expired
+    const keptAlerts = new Set(filteredAlerts);
+    const evictedAlerts = allAlerts.filter((alert) => !keptAlerts.has(alert));
+    evictedAlerts.forEach((alert) => removeAlertFromIndex(existingIndex, alert));
+    expireAlerts(evictedAlerts);
   }
 
   // Update caches
   cache[ALERTS_KEY] = filteredAlerts;
   cache[ALERTS_MAP_KEY] = existingMap;
+  cache[ALERTS_INDEX_KEY] = existingIndex;
+  persistCache();
 
   return {
     added: newAlertsToAdd.length,
-    total: filteredAlerts.length
+    total: filteredAlerts.length,
+    archived,
+    updated: updatedAlerts.length
   };
 };
 
@@ -230,6 +547,8 @@ const addAlertsToCache = (alerts) => {
 const clearCachedAlerts = () => {
   cache[ALERTS_KEY] = [];
   cache[ALERTS_MAP_KEY] = new Map();
+  cache[ALERTS_INDEX_KEY] = createAlertIndex();
+  persistCache();
 };
 
 /**
@@ -247,6 +566,72 @@ const getCachedAlertById = (alertId) => {
   return alertsMap.get(alertId) || null;
 };
 
+/**
+ * Get cached alerts indexed under an entity value (O(1) index lookup)
+ * @param {string} type - Index type (one of INDEX_TYPES, e.g. 'ip' or 'threatActor')
+ * @param {string} value - Entity value to look up (case-insensitive)
+ * @returns {Array<Object>} Matching alert objects (sorted newest first)
+ */
+const getCachedAlertsByIndex = (type, value) => {
+  const alertsMap = cache[ALERTS_MAP_KEY];
+  if (!alertsMap) return [];
+
+  return getAlertIdsFromIndex(cache[ALERTS_INDEX_KEY], type, value)
+    .map((alertId) => alertsMap.get(alertId))
+    .filter(Boolean)
+    .sort((a, b) => {
+      const timeA = a.alertTimestamp ? new Date(a.alertTimestamp).getTime() : 0;
+      const timeB = b.alertTimestamp ? new Date(b.alertTimestamp).getTime() : 0;
+      return timeB - timeA;
+    });
+};
+
+/**
+ * Get a single alert by ID from the archive
+ * Used when an alert has been evicted from the cache.
+ * @param {string} alertId - Alert ID to look up
+ * @returns {Object|null} Alert object or null if not archived
+ */
+const getArchivedAlertById = (alertId) => {
+  if (!alertId || !alertArchive) return null;
+
+  try {
+    return alertArchive.getAlertById(alertId);
+  } catch (error) {
+    getLogger().error({ error, alertId }, 'Failed to read alert from archive');
+    return null;
+  }
+};
+
+/**
+ * Get alerts indexed under an entity value from the cache and the archive
+ * Cached alerts take precedence over their archived copies.
+ * @param {string} type - Index type (one of INDEX_TYPES, e.g. 'ip' or 'threatActor')
+ * @param {string} value - Entity value to look up (case-insensitive)
+ * @returns {Array<Object>} Matching alert objects (sorted newest first)
+ */
+const getAlertsByIndex = (type, value) => {
+  const cachedAlerts = getCachedAlertsByIndex(type, value);
+  if (!alertArchive) return cachedAlerts;
+
+  let archivedAlerts = [];
+  try {
+    archivedAlerts = alertArchive.getAlertsByIndex(type, value);
+  } catch (error) {
+    getLogger().error({ error, type }, 'Failed to read alerts from archive');
+  }
+  if (archivedAlerts.length === 0) return cachedAlerts;
+
+  const alertIds = new Set(cachedAlerts.map((alert) => alert.alertId));
+  return cachedAlerts
+    .concat(archivedAlerts.filter((alert) => !alertIds.has(alert.alertId)))
+    .sort((a, b) => {
+      const timeA = a.alertTimestamp ? new Date(a.alertTimestamp).getTime() : 0;
+      const timeB = b.alertTimestamp ? new Date(b.alertTimestamp).getTime() : 0;
+      return timeB - timeA;
+    });
+};
+
 /**
  * Get the timestamp of the latest alert in the cache
  * @returns {string|null} ISO timestamp of the latest alert, or null if no alerts
@@ -265,6 +650,34 @@ const getLatestAlertTimestamp = () => {
   return null;
 };
 
+/**
+ * Get cached alerts that were updated to a new version after a timestamp
+ * @param {string} updatedSinceTimestamp - ISO timestamp (returns alerts updated after it)
+ * @returns {Array<Object>} Updated alert objects (most recently updated first)
+ */
+const getUpdatedAlerts = (updatedSinceTimestamp) => {
+  const updatedSinceMs = new Date(updatedSinceTimestamp).getTime();
+  if (Number.isNaN(updatedSinceMs)) return [];
+
+  return (cache[ALERTS_KEY] || [])
+    .filter(
+      (alert) => alert.updatedAt && new Date(alert.updatedAt).getTime() > updatedSinceMs
+    )
+    .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+};
+
+/**
+ * Get the time of the latest alert update in the cache
+ * @returns {string|null} ISO timestamp of the latest update, or null if no cached alert
+ * was updated
+ */
+const getLatestUpdateTimestamp = () =>
+  (cache[ALERTS_KEY] || []).reduce(
+    (latest, alert) =>
+      alert.updatedAt && (!latest || alert.updatedAt > latest) ? alert.updatedAt : latest,
+    null
+  );
+
 /**
  * Get cached lists
  * @returns {Array<Object>} Array of list objects with value and display properties
@@ -279,20 +692,57 @@ const getCachedLists = () => {
  * @returns {void}
  */
 const setCachedLists = (lists) => {
-  if (lists && Array.isArray(lists) && lists.length > 0) {
+  if (Array.isArray(lists)) {
     cache[LISTS_KEY] = lists;
   }
 };
 
+/**
+ * Get the alert subscription of a user
+ * @param {string} username - Polarity username
+ * @returns {Object|null} Subscription object, or null if the user has no subscription
+ */
+const getUserSubscription = (username) =>
+  (username && cache[SUBSCRIPTIONS_KEY][username]) || null;
+
+/**
+ * Set (or remove) the alert subscription of a user
+ * @param {string} username - Polarity username
+ * @param {Object|null} subscription - Subscription object, or null to remove it
+ * @returns {void}
+ */
+const setUserSubscription = (username, subscription) => {
+  if (!username) return;
+  if (subscription) {
+    cache[SUBSCRIPTIONS_KEY][username] = subscription;
+  } else {
+    delete cache[SUBSCRIPTIONS_KEY][username];
+  }
+  persistCache();
+};
+
 module.exports = {
+  setPersistenceStore,
+  setAlertArchive,
+  restoreCache,
+  flushPersistedCache,
   getPollingState,
   updatePollingState,
   resetPollingState,
   getCachedAlerts,
   getCachedAlertById,
+  getCachedAlertsByIndex,
+  getArchivedAlertById,
+  getAlertsByIndex,
+  pruneArchive,
+  getExpiredAlert,
   addAlertsToCache,
   clearCachedAlerts,
   getLatestAlertTimestamp,
+  getUpdatedAlerts,
+  getLatestUpdateTimestamp,
   getCachedLists,
-  setCachedLists
+  setCachedLists,
+  getUserSubscription,
+  setUserSubscription
 };
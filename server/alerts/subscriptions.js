@@ -0,0 +1,129 @@
+const { ALLOWED_ALERT_TYPES } = require('../../constants');
+const { normalizeAlertType } = require('../userOptions/settings');
+const { getListValue } = require('./lists');
+
+/** Subscription fields; an empty field does not restrict the alerts a user sees */
+const SUBSCRIPTION_FIELDS = [
+  'alertTypes',
+  'lists',
+  'topics',
+  'sectors',
+  'companies',
+  'locations'
+];
+
+/**
+ * Normalize a subscription field value to an array of unique, non-empty strings
+ * @param {Array<string>|string} value - Array of values or comma-separated string
+ * @returns {Array<string>} Trimmed values
+ */
+const normalizeFieldValues = (value) => {
+  const values = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+    ? value.split(',')
+    : [];
+  return [
+    ...new Set(
+      values
+        .filter((item) => typeof item === 'string' || typeof item === 'number')
+        .map((item) => String(item).trim())
+        .filter(Boolean)
+    )
+  ];
+};
+
+/**
+ * Normalize a subscription received from the client
+ * @param {Object} subscription - Subscription with any of the SUBSCRIPTION_FIELDS
+ * @returns {Object|null} Normalized subscription, or null if no field is set
+ */
+const normalizeSubscription = (subscription) => {
+  if (!subscription || typeof subscription !== 'object') return null;
+
+  const normalized = SUBSCRIPTION_FIELDS.reduce(
+    (agg, field) => ({ ...agg, [field]: normalizeFieldValues(subscription[field]) }),
+    {}
+  );
+  normalized.alertTypes = normalized.alertTypes
+    .map(normalizeAlertType)
+    .filter((type) => ALLOWED_ALERT_TYPES.includes(type));
+
+  const hasValues = SUBSCRIPTION_FIELDS.some((field) => normalized[field].length > 0);
+  return hasValues ? normalized : null;
+};
+
+/**
+ * Get the lowercase names (and ids) of alert items such as topics, sectors or companies
+ * @param {Array<Object>} items - Items with name and/or id properties
+ * @returns {Array<string>} Lowercase names and ids
+ */
+const getItemNames = (items) =>
+  Array.isArray(items)
+    ? items.reduce((agg, item) => {
+        if (!item) return agg;
+        if (item.name) agg.push(String(item.name).toLowerCase());
+        if (item.id !== undefined && item.id !== null) {
+          agg.push(String(item.id).toLowerCase());
+        }
+        return agg;
+      }, [])
+    : [];
+
+/**
+ * Create a filter function for a user's subscription
+ * An alert is included when it matches every subscription field that has values
+ * (alert type, matched list, topic, sector, company and event location).
+ * @param {Object|null} subscription - Normalized subscription
+ * @returns {Function} Filter function that returns true if alert should be included
+ */
+const createSubscriptionFilter = (subscription) => {
+  if (!subscription) return () => true;
+
+  const toSet = (values) => new Set(values.map((value) => value.toLowerCase()));
+  const alertTypes = toSet(subscription.alertTypes || []);
+  const lists = toSet(subscription.lists || []);
+  const topics = toSet(subscription.topics || []);
+  const sectors = toSet(subscription.sectors || []);
+  const companies = toSet(subscription.companies || []);
+  const locations = [...toSet(subscription.locations || [])];
+
+  const matchesAny = (set, values) =>
+    set.size === 0 || values.some((value) => set.has(value));
+
+  return (alert) => {
+    const alertType =
+      alert.alertType && alert.alertType.name
+        ? alert.alertType.name.toLowerCase()
+        : 'alert';
+    const listValues = Array.isArray(alert.listsMatched)
+      ? alert.listsMatched.reduce((agg, list) => {
+          if (!list) return agg;
+          agg.push(getListValue(list).toLowerCase());
+          if (list.name) agg.push(String(list.name).toLowerCase());
+          return agg;
+        }, [])
+      : [];
+    const locationName =
+      alert.estimatedEventLocation && alert.estimatedEventLocation.name
+        ? String(alert.estimatedEventLocation.name).toLowerCase()
+        : '';
+
+    return (
+      matchesAny(alertTypes, [alertType]) &&
+      matchesAny(lists, listValues) &&
+      matchesAny(topics, getItemNames(alert.alertTopics)) &&
+      matchesAny(sectors, getItemNames(alert.alertSectors)) &&
+      matchesAny(companies, getItemNames(alert.alertCompanies)) &&
+      (locations.length === 0 ||
+        locations.some((location) => locationName.includes(location)))
+    );
+  };
+};
+
+module.exports = {
+  SUBSCRIPTION_FIELDS,
+  normalizeSubscription,
+  createSubscriptionFilter,
+  getItemNames
+};
@@ -0,0 +1,211 @@
+/** Kinds of named threats that can be looked up by name or alias */
+const THREAT_KINDS = {
+  THREAT_ACTOR: 'threatActor',
+  MALWARE: 'malware'
+};
+
+// Maximum number of related threats listed in a profile
+const MAX_RELATED_THREATS = 10;
+
+/**
+ * Normalize a threat name for case-insensitive comparison
+ * @param {*} value - Name to normalize
+ * @returns {string} Trimmed, lowercased name (empty string for non-strings)
+ */
+const normalizeThreatName = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+/**
+ * Get the threat kind of an intel agent discovered entity type
+ * @param {string} type - Discovered entity type (e.g. threatActor, malware)
+ * @returns {string|null} One of THREAT_KINDS, or null if the type is not a named threat
+ */
+const getThreatKind = (type) => {
+  const normalized = normalizeThreatName(type).replace(/[\s_-]/g, '');
+  if (normalized === 'threatactor' || normalized === 'actor') {
+    return THREAT_KINDS.THREAT_ACTOR;
+  }
+  if (normalized === 'malware') return THREAT_KINDS.MALWARE;
+  return null;
+};
+
+/**
+ * Get the string values of an array property, ignoring empty values
+ * @param {*} values - Array of strings
+ * @returns {Array<string>} Non-empty strings
+ */
+const getStrings = (values) =>
+  Array.isArray(values)
+    ? values.filter((value) => typeof value === 'string' && value.trim())
+    : [];
+
+/**
+ * Get the threat actors and malware an alert mentions
+ * Names come from the cyber metadata; intel agent discovered entities add aliases,
+ * country of origin, TTPs and a summary.
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>} Threats with kind, name, aliases, countryOfOrigin, ttps and
+ * summary properties
+ */
+const getAlertThreats = (alert) => {
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  const threats = [];
+  const addThreat = (kind, item) => {
+    if (!item || typeof item.name !== 'string' || !item.name.trim()) return;
+    threats.push({
+      kind,
+      name: item.name.trim(),
+      aliases: getStrings(item.aliases),
+      countryOfOrigin: item.countryOfOrigin || '',
+      ttps: getStrings(item.ttps),
+      summary: item.summary || ''
+    });
+  };
+
+  (Array.isArray(cyber.threatActors) ? cyber.threatActors : []).forEach((actor) =>
+    addThreat(THREAT_KINDS.THREAT_ACTOR, actor)
+  );
+  (Array.isArray(cyber.malware) ? cyber.malware : []).forEach((malware) =>
+    addThreat(THREAT_KINDS.MALWARE, malware)
+  );
+  (Array.isArray(alert.intelAgents) ? alert.intelAgents : []).forEach((agent) => {
+    if (agent.version !== 'current' || !Array.isArray(agent.discoveredEntities)) return;
+    agent.discoveredEntities.forEach((entity) => {
+      const kind = entity && getThreatKind(entity.type);
+      if (kind) addThreat(kind, entity);
+    });
+  });
+
+  return threats;
+};
+
+/**
+ * Check whether a threat is known by a name (its name or one of its aliases)
+ * @param {Object} threat - Threat from getAlertThreats
+ * @param {string} name - Normalized name
+ * @returns {boolean} True if the name or an alias matches
+ */
+const threatHasName = (threat, name) =>
+  [threat.name]
+    .concat(threat.aliases)
+    .some((value) => normalizeThreatName(value) === name);
+
+/**
+ * Get the most frequent value of a count map
+ * @param {Map<string, number>} counts - Counts by value
+ * @returns {string|null} Most frequent value, or null if the map is empty
+ */
+const getMostFrequent = (counts) => {
+  let mostFrequent = null;
+  let highestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > highestCount) {
+      mostFrequent = value;
+      highestCount = count;
+    }
+  });
+  return mostFrequent;
+};
+
+/**
+ * Build a threat actor or malware profile from the cached alerts that mention it
+ * @param {string} name - Threat name or alias that was looked up
+ * @param {Array<Object>} alerts - Alerts that mention the threat (sorted newest first)
+ * @returns {Object|null} Threat profile, or null if no alert names the threat
+ * @returns {string} returns.name - Most frequently reported name
+ * @returns {string} returns.kind - One of THREAT_KINDS
+ * @returns {Array<string>} returns.aliases - Other names the threat is known by
+ * @returns {Array<string>} returns.countriesOfOrigin - Reported countries of origin
+ * @returns {Array<string>} returns.ttps - Reported MITRE ATT&CK techniques
+ * @returns {string} returns.summary - Latest intel agent summary
+ * @returns {Array<Object>} returns.relatedThreats - Other threats in the same alerts
+ * @returns {number} returns.alertCount - Number of alerts naming the threat
+ * @returns {string|null} returns.firstSeen - Timestamp of the oldest alert
+ * @returns {string|null} returns.lastSeen - Timestamp of the newest alert
+ */
+const getThreatProfile = (name, alerts) => {
+  const normalizedName = normalizeThreatName(name);
+  if (!normalizedName || !Array.isArray(alerts)) return null;
+
+  const nameCounts = new Map();
+  const kindCounts = new Map();
+  const names = new Map();
+  const countriesOfOrigin = new Set();
+  const ttps = new Set();
+  const relatedThreats = new Map();
+  const alertTimestamps = [];
+  let alertCount = 0;
+  let summary = '';
+
+  alerts.forEach((alert) => {
+    const threats = getAlertThreats(alert);
+    const matchingThreats = threats.filter((threat) =>
+      threatHasName(threat, normalizedName)
+    );
+    if (matchingThreats.length === 0) return;
+
+    alertCount++;
+    if (alert.alertTimestamp) alertTimestamps.push(alert.alertTimestamp);
+    matchingThreats.forEach((threat) => {
+      nameCounts.set(threat.name, (nameCounts.get(threat.name) || 0) + 1);
+      kindCounts.set(threat.kind, (kindCounts.get(threat.kind) || 0) + 1);
+      [threat.name].concat(threat.aliases).forEach((value) => {
+        const key = normalizeThreatName(value);
+        if (!names.has(key)) names.set(key, value.trim());
+      });
+      if (threat.countryOfOrigin) countriesOfOrigin.add(threat.countryOfOrigin);
+      threat.ttps.forEach((ttp) => ttps.add(ttp));
+      if (!summary && threat.summary) summary = threat.summary;
+    });
+
+    const matchingNames = new Set(
+      matchingThreats.reduce(
+        (agg, threat) => agg.concat(threat.name, threat.aliases).map(normalizeThreatName),
+        []
+      )
+    );
+    const relatedInAlert = new Map();
+    threats
+      .filter((threat) => !matchingNames.has(normalizeThreatName(threat.name)))
+      .forEach((threat) => relatedInAlert.set(normalizeThreatName(threat.name), threat));
+    relatedInAlert.forEach((threat, key) => {
+      const related = relatedThreats.get(key) || {
+        name: threat.name,
+        kind: threat.kind,
+        alertCount: 0
+      };
+      related.alertCount++;
+      relatedThreats.set(key, related);
+    });
+  });
+
+  if (alertCount === 0) return null;
+
+  const profileName = getMostFrequent(nameCounts);
+  const sortedTimestamps = alertTimestamps
+    .slice()
+    .sort((a, b) => new Date(a).getTime() - new Date(b).getTime());
+
+  return {
+    name: profileName,
+    kind: getMostFrequent(kindCounts),
+    aliases: Array.from(names.values()).filter(
+      (value) => normalizeThreatName(value) !== normalizeThreatName(profileName)
+    ),
+    countriesOfOrigin: Array.from(countriesOfOrigin),
+    ttps: Array.from(ttps),
+    summary,
+    relatedThreats: Array.from(relatedThreats.values())
+      .sort((a, b) => b.alertCount - a.alertCount || a.name.localeCompare(b.name))
+      .slice(0, MAX_RELATED_THREATS),
+    alertCount,
+    firstSeen: sortedTimestamps[0] || null,
+    lastSeen: sortedTimestamps[sortedTimestamps.length - 1] || null
+  };
+};
+
+module.exports = {
+  THREAT_KINDS,
+  getAlertThreats,
+  getThreatProfile
+};
@@ -0,0 +1,146 @@
+/**
+ * Get the time of an alert in milliseconds
+ * @param {Object} alert - Alert object
+ * @returns {number} Alert time, or 0 if the alert has no valid timestamp
+ */
+const getAlertTime = (alert) => {
+  const time = alert.alertTimestamp ? new Date(alert.alertTimestamp).getTime() : 0;
+  return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Get a numeric score, ignoring missing and non-numeric values
+ * @param {*} value - Score value
+ * @returns {number|null} Score, or null if the value is not a number
+ */
+const toScore = (value) => {
+  const score = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof score === 'number' && Number.isFinite(score) ? score : null;
+};
+
+/**
+ * Get the highest of two scores
+ * @param {number|null} current - Current highest score
+ * @param {*} value - Score to compare
+ * @returns {number|null} Highest score, or null if neither is a number
+ */
+const maxScore = (current, value) => {
+  const score = toScore(value);
+  if (score === null) return current;
+  return current === null ? score : Math.max(current, score);
+};
+
+/**
+ * Get the vulnerability entries of an alert for a CVE
+ * Cyber metadata vulnerabilities carry CVSS, products and exploit links; intel agent
+ * discovered entities carry CVSS, EPSS and exploitability.
+ * @param {Object} alert - Alert object
+ * @param {string} cveId - Lowercase CVE id
+ * @returns {Array<Object>} Vulnerability entries for the CVE
+ */
+const getVulnerabilityEntries = (alert, cveId) => {
+  const isCve = (value) =>
+    typeof value === 'string' && value.trim().toLowerCase() === cveId;
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+
+  const metadataEntries = (
+    Array.isArray(cyber.vulnerabilities) ? cyber.vulnerabilities : []
+  ).filter((vuln) => vuln && isCve(vuln.id));
+
+  const discoveredEntries = (Array.isArray(alert.intelAgents) ? alert.intelAgents : [])
+    .filter(
+      (agent) => agent.version === 'current' && Array.isArray(agent.discoveredEntities)
+    )
+    .reduce((agg, agent) => agg.concat(agent.discoveredEntities), [])
+    .filter((entity) => entity && isCve(entity.name));
+
+  return metadataEntries.concat(discoveredEntries);
+};
+
+/**
+ * Get the display name of a product (vendor, name and version)
+ * @param {Object} product - Product object (productVendor, productName, productVersion)
+ * @returns {string} Product display name, or empty string if the product has no fields
+ */
+const getProductDisplay = (product) =>
+  product
+    ? [product.productVendor, product.productName, product.productVersion]
+        .filter((value) => value !== undefined && value !== null && value !== '')
+        .join(' ')
+    : '';
+
+/**
+ * Aggregate what the cached alerts say about a CVE
+ * @param {string} cveId - CVE id
+ * @param {Array<Object>} alerts - Alerts that mention the CVE
+ * @returns {Object|null} Vulnerability summary, or null if no alert mentions the CVE
+ * @returns {string} returns.id - CVE id as reported by the alerts
+ * @returns {number} returns.alertCount - Number of alerts mentioning the CVE
+ * @returns {number|null} returns.maxCvss - Highest CVSS score seen
+ * @returns {number|null} returns.maxEpss - Highest EPSS score seen
+ * @returns {boolean|null} returns.exploitable - True if any alert reports it exploitable
+ * @returns {string|null} returns.firstSeen - Timestamp of the oldest alert
+ * @returns {string|null} returns.lastSeen - Timestamp of the newest alert
+ * @returns {Array<string>} returns.products - Affected products
+ * @returns {Array<string>} returns.exploitPocLinks - Exploit proof of concept links
+ * @returns {Array<Object>} returns.timeline - Alerts (oldest first) with their CVSS
+ */
+const getVulnerabilitySummary = (cveId, alerts) => {
+  const normalizedCveId = typeof cveId === 'string' ? cveId.trim().toLowerCase() : '';
+  if (!normalizedCveId || !Array.isArray(alerts) || alerts.length === 0) return null;
+
+  const sortedAlerts = alerts.slice().sort((a, b) => getAlertTime(a) - getAlertTime(b));
+  const products = new Set();
+  const exploitPocLinks = new Set();
+  let id = cveId.trim().toUpperCase();
+  let maxCvss = null;
+  let maxEpss = null;
+  let exploitable = null;
+
+  const timeline = sortedAlerts.map((alert) => {
+    const entries = getVulnerabilityEntries(alert, normalizedCveId);
+    let alertCvss = null;
+
+    entries.forEach((entry) => {
+      if (entry.id) id = entry.id;
+      alertCvss = maxScore(alertCvss, entry.cvss);
+      maxEpss = maxScore(maxEpss, entry.epssScore);
+      if (typeof entry.exploitable === 'boolean') {
+        exploitable = exploitable || entry.exploitable;
+      }
+      (Array.isArray(entry.products) ? entry.products : []).forEach((product) => {
+        const display = getProductDisplay(product);
+        if (display) products.add(display);
+      });
+      (Array.isArray(entry.exploitPocLinks) ? entry.exploitPocLinks : []).forEach(
+        (link) => link && exploitPocLinks.add(link)
+      );
+    });
+    maxCvss = maxScore(maxCvss, alertCvss);
+
+    return {
+      alertId: alert.alertId,
+      alertTimestamp: alert.alertTimestamp || null,
+      alertType: (alert.alertType && alert.alertType.name) || 'Alert',
+      headline: alert.headline || '',
+      cvss: alertCvss
+    };
+  });
+
+  return {
+    id,
+    alertCount: sortedAlerts.length,
+    maxCvss,
+    maxEpss,
+    exploitable,
+    firstSeen: timeline[0].alertTimestamp,
+    lastSeen: timeline[timeline.length - 1].alertTimestamp,
+    products: Array.from(products),
+    exploitPocLinks: Array.from(exploitPocLinks),
+    timeline
+  };
+};
+
+module.exports = {
+  getVulnerabilitySummary
+};
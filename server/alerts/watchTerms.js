@@ -0,0 +1,282 @@
+const { parseIpAddress, parseCidr, isIpInCidr } = require('../ipAddress');
+
+// Watch terms compiled from the last seen `watchTerms` option (parsed once per change)
+let compiledTermsText = null;
+let compiledTerms = [];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split the watch terms option into raw terms
+ * Terms are separated by commas or new lines. Regex terms are written as
+ * `/pattern/flags` and may contain commas.
+ * @param {string} termsText - Watch terms option value
+ * @returns {Array<string>} Raw terms
+ */
+const splitWatchTerms = (termsText) => {
+  const terms = [];
+  let index = 0;
+
+  while (index < termsText.length) {
+    while (index < termsText.length && /[\s,]/.test(termsText[index])) index++;
+    if (index >= termsText.length) break;
+
+    let end = index;
+    if (termsText[index] === '/') {
+      // Read to the closing (unescaped) slash, then any flags
+      end++;
+      while (end < termsText.length && termsText[end] !== '/') {
+        end += termsText[end] === '\\' ? 2 : 1;
+      }
+      end++;
+      while (end < termsText.length && /[a-z]/i.test(termsText[end])) end++;
+    }
+    while (end < termsText.length && !/[,\n]/.test(termsText[end])) end++;
+
+    terms.push(termsText.slice(index, end).trim());
+    index = end;
+  }
+
+  return terms.filter(Boolean);
+};
+
+/**
+ * Compile a single watch term
+ * @param {string} rawTerm - Raw term (keyword, /regex/flags, IP address or CIDR range)
+ * @returns {Object} Result object
+ * @returns {Object|null} returns.term - Compiled term ({ type, display, regex | cidr })
+ * @returns {string|null} returns.error - Validation error message
+ */
+const compileWatchTerm = (rawTerm) => {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/is.exec(rawTerm);
+  if (regexMatch) {
+    try {
+      const flags = regexMatch[2].includes('i') ? 'gi' : 'g';
+      const regex = new RegExp(regexMatch[1], flags);
+      return { term: { type: 'regex', display: rawTerm, regex }, error: null };
+    } catch (error) {
+      return {
+        term: null,
+        error: `Invalid watch term regex ${rawTerm} (${error.message})`
+      };
+    }
+  }
+
+  const cidr = parseCidr(rawTerm);
+  if (cidr) {
+    return { term: { type: 'cidr', display: rawTerm, cidr }, error: null };
+  }
+
+  // Keywords match whole words, case-insensitively
+  return {
+    term: {
+      type: 'keyword',
+      display: rawTerm,
+      regex: new RegExp(`(?<![\\w])${escapeRegExp(rawTerm)}(?![\\w])`, 'gi')
+    },
+    error: null
+  };
+};
+
+/**
+ * Parse and validate the watch terms option
+ * @param {string} termsText - Watch terms separated by commas or new lines
+ * @returns {Object} Result object
+ * @returns {Array<Object>} returns.terms - Compiled terms
+ * @returns {Array<string>} returns.errors - Validation error messages
+ */
+const parseWatchTerms = (termsText) => {
+  if (typeof termsText !== 'string' || termsText.trim() === '') {
+    return { terms: [], errors: [] };
+  }
+
+  return splitWatchTerms(termsText).reduce(
+    (agg, rawTerm) => {
+      const { term, error } = compileWatchTerm(rawTerm);
+      if (term) agg.terms.push(term);
+      if (error) agg.errors.push(error);
+      return agg;
+    },
+    { terms: [], errors: [] }
+  );
+};
+
+/**
+ * Get the compiled watch terms from options
+ * @param {Object} [options] - Configuration options (watchTerms)
+ * @returns {Array<Object>} Compiled terms
+ */
+const getWatchTerms = (options) => {
+  const termsText = (options && options.watchTerms) || '';
+  if (termsText !== compiledTermsText) {
+    compiledTermsText = termsText;
+    compiledTerms = parseWatchTerms(termsText).terms;
+  }
+  return compiledTerms;
+};
+
+/**
+ * Get the text fields of an alert that watch terms are evaluated against
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>} Fields with name and text properties
+ */
+const getWatchedFields = (alert) => {
+  const fields = [];
+  const addField = (name, text) => {
+    if (typeof text === 'string' && text.trim()) fields.push({ name, text });
+  };
+  const pluck = (items, property) =>
+    Array.isArray(items) ? items.map((item) => item && item[property]) : [];
+
+  addField('headline', alert.headline);
+  if (alert.subHeadline) {
+    addField('subHeadline', alert.subHeadline.title);
+    (Array.isArray(alert.subHeadline.content) ? alert.subHeadline.content : []).forEach(
+      (content) => addField('subHeadline', content)
+    );
+  }
+  addField('publicPost', alert.publicPost && alert.publicPost.text);
+  (Array.isArray(alert.alertReferenceTerms) ? alert.alertReferenceTerms : []).forEach(
+    (term) =>
+      addField(
+        'referenceTerms',
+        term && typeof term === 'object' ? term.text || term.name || term.value : term
+      )
+  );
+
+  const cyber = (alert.metadata && alert.metadata.cyber) || {};
+  []
+    .concat(
+      pluck(cyber.addresses, 'ip'),
+      pluck(cyber.URL, 'name'),
+      pluck(cyber.hashValues, 'value'),
+      pluck(cyber.vulnerabilities, 'id'),
+      pluck(cyber.malware, 'name'),
+      pluck(cyber.threatActors, 'name'),
+      pluck(cyber.asOrgs, 'asOrg')
+    )
+    .forEach((value) => addField('cyber', value));
+
+  return fields;
+};
+
+/**
+ * Find the IP addresses mentioned in a text field
+ * @param {string} text - Field text
+ * @returns {Array<Object>} Addresses with text and parsed properties
+ */
+const getIpAddressesInText = (text) =>
+  (text.match(/[0-9a-f:.]*[:.][0-9a-f:.]+/gi) || []).reduce((agg, candidate) => {
+    const trimmed = candidate.replace(/^[:.]+|[:.]+$/g, '');
+    const parsed = parseIpAddress(trimmed);
+    return parsed ? agg.concat({ text: trimmed, parsed }) : agg;
+  }, []);
+
+/**
+ * Evaluate the watch terms against an alert
+ * @param {Array<Object>} terms - Compiled terms
+ * @param {Object} alert - Alert object
+ * @returns {Array<Object>|null} Matches ({ term, field, text }), or null if no term matched
+ */
+const evaluateWatchTerms = (terms, alert) => {
+  if (terms.length === 0) return null;
+
+  const fields = getWatchedFields(alert);
+  const matches = [];
+  const seen = new Set();
+  const addMatch = (term, field, text) => {
+    const key = `${term.display}|${field}|${text.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    matches.push({ term: term.display, field, text });
+  };
+
+  terms.forEach((term) => {
+    fields.forEach(({ name, text }) => {
+      if (term.type === 'cidr') {
+        getIpAddressesInText(text)
+          .filter(({ parsed }) => isIpInCidr(parsed, term.cidr))
+          .forEach((address) => addMatch(term, name, address.text));
+        return;
+      }
+      (text.match(term.regex) || []).forEach((matchText) => {
+        if (matchText) addMatch(term, name, matchText);
+      });
+    });
+  });
+
+  return matches.length > 0 ? matches : null;
+};
+
+/**
+ * Attach watch term matches to alerts as `watchMatches`
+ * @param {Array<Object>} alerts - Alert objects
+ * @param {Object} [options] - Configuration options (watchTerms)
+ * @returns {Array<Object>} Alerts, with watchMatches on alerts that mention a watch term
+ */
+const applyWatchTerms = (alerts, options) => {
+  const terms = getWatchTerms(options);
+  if (terms.length === 0) return alerts;
+
+  return alerts.map((alert) => {
+    const watchMatches = evaluateWatchTerms(terms, alert);
+    return watchMatches ? { ...alert, watchMatches } : alert;
+  });
+};
+
+/**
+ * Check whether an alert mentions a watch term
+ * @param {Object} alert - Alert object
+ * @returns {boolean} True if the alert has watch term matches
+ */
+const isAlertWatched = (alert) =>
+  Boolean(alert && Array.isArray(alert.watchMatches) && alert.watchMatches.length > 0);
+
+/**
+ * Split text into segments, flagging the parts that matched a watch term
+ * Used by the templates to highlight matches without rendering raw HTML.
+ * @param {string} text - Text to split
+ * @param {Array<Object>} watchMatches - Watch term matches of the alert
+ * @param {string} field - Field name the text belongs to
+ * @returns {Array<Object>|null} Segments with text and watched properties, or null if no match
+ */
+const getWatchedSegments = (text, watchMatches, field) => {
+  if (typeof text !== 'string' || !Array.isArray(watchMatches)) return null;
+
+  const matchTexts = [
+    ...new Set(
+      watchMatches.filter((match) => match.field === field).map((match) => match.text)
+    )
+  ];
+  if (matchTexts.length === 0) return null;
+
+  // Longest first so overlapping matches highlight the full text
+  const pattern = matchTexts
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  const splitRegex = new RegExp(`(${pattern})`, 'gi');
+  const lowerMatchTexts = new Set(matchTexts.map((matchText) => matchText.toLowerCase()));
+
+  return text
+    .split(splitRegex)
+    .filter(Boolean)
+    .map((segment) => ({
+      text: segment,
+      watched: lowerMatchTexts.has(segment.toLowerCase())
+    }));
+};
+
+module.exports = {
+  parseWatchTerms,
+  getWatchTerms,
+  evaluateWatchTerms,
+  applyWatchTerms,
+  isAlertWatched,
+  getWatchedSegments
+};
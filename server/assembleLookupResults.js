@@ -1,7 +1,18 @@
-const { size, map, some } = require('lodash/fp');
+const { size, map, some, uniq, flatMap } = require('lodash/fp');
 const { getResultForThisEntity } = require('./dataTransformations');
 const { DEFAULT_PAGE_SIZE } = require('../constants');
-const { processAlertData } = require('./templateRenderer');
+const {
+  processAlertData,
+  processVulnerabilitySummary,
+  processHashSummary,
+  processThreatProfile
+} = require('./templateRenderer');
+const { getIndexTypeForEntity } = require('./alerts/alertIndex');
+const { findCachedThreatAlerts } = require('./alerts/alertMatcher');
+const { getAlertsByIndex } = require('./alerts/stateManager');
+const { getVulnerabilitySummary } = require('./alerts/vulnerabilities');
+const { getThreatProfile } = require('./alerts/threatProfiles');
+const { getHashSummary } = require('./alerts/hashes');
 
 /**
  * Assemble lookup results for entities from alerts
@@ -37,7 +48,9 @@ const assembleLookupResults = async (entities, alerts, options) => {
  * @param {Object} entity - Entity object to get results for
  * @param {Array<Object>} alerts - Array of alert results
  * @param {Object} options - Configuration options
- * @returns {Promise<Object>} Object containing alerts array for the entity
+ * @returns {Promise<Object>} Object containing alerts array for the entity (and a
+ * vulnerability summary for CVEs, a hash summary for hashes or a profile for threat
+ * actor and malware names)
  */
 const getResultsForThisEntity = async (entity, alerts, options) => {
   const rawAlerts = getResultForThisEntity(entity, alerts);
@@ -49,23 +62,86 @@ const getResultsForThisEntity = async (entity, alerts, options) => {
         })
       )
     : [];
+
+  // CVE lookups also get a summary of every cached alert that mentions the CVE
+  if (getIndexTypeForEntity(entity) === 'cve' && processedAlerts.length > 0) {
+    const cveAlerts = getAlertsByIndex('cve', entity.value);
+    return {
+      alerts: processedAlerts,
+      vulnerability: processVulnerabilitySummary(
+        getVulnerabilitySummary(entity.value, cveAlerts),
+        options
+      )
+    };
+  }
+
+  // Hash lookups also get the detected algorithm, malware and every referencing alert
+  if (getIndexTypeForEntity(entity) === 'hash' && processedAlerts.length > 0) {
+    const hashAlerts = getAlertsByIndex('hash', entity.value);
+    const hash = processHashSummary(getHashSummary(entity.value, hashAlerts), options);
+    if (hash) {
+      return {
+        alerts: processedAlerts,
+        hash
+      };
+    }
+  }
+
+  // Threat actor and malware names also get a profile built from the cached alerts
+  const threatProfile =
+    !getIndexTypeForEntity(entity) && processedAlerts.length > 0
+      ? processThreatProfile(
+          getThreatProfile(entity.value, findCachedThreatAlerts(entity.value)),
+          options
+        )
+      : null;
+  if (threatProfile) {
+    return {
+      alerts: processedAlerts,
+      threatProfile
+    };
+  }
+
   return {
     alerts: processedAlerts
   };
 };
 
+/**
+ * Get the unique tags added to alerts by alert rules
+ * @param {Array<Object>} alerts - Array of processed alerts
+ * @returns {Array<string>} Array of rule tag strings
+ */
+const getRuleTags = (alerts) =>
+  uniq(
+    flatMap((alert) => (alert.ruleEvaluation && alert.ruleEvaluation.tags) || [], alerts)
+  );
+
 /**
  * Create summary tags for lookup results
  * @param {Object} results - Results object containing alerts
  * @param {Array<Object>} results.alerts - Array of alerts
+ * @param {Object} [results.vulnerability] - CVE summary (CVE lookups only)
+ * @param {Object} [results.hash] - Hash summary (hash lookups only)
+ * @param {Object} [results.threatProfile] - Threat actor or malware profile
  * @param {Object} options - Configuration options
  * @returns {Array<string>} Array of summary tag strings
  */
-const createSummaryTags = ({ alerts }, options) =>
+const createSummaryTags = ({ alerts, vulnerability, hash, threatProfile }, options) =>
   [].concat(
     size(alerts)
       ? `Alerts: ${size(alerts)}${size(alerts) === DEFAULT_PAGE_SIZE ? '+' : ''}`
-      : []
+      : [],
+    vulnerability && vulnerability.maxCvss !== null
+      ? `Max CVSS: ${vulnerability.maxCvss}`
+      : [],
+    hash ? hash.algorithm : [],
+    hash && hash.malwareFormatted ? `Malware: ${hash.malwareFormatted}` : [],
+    threatProfile ? `${threatProfile.kindLabel}: ${threatProfile.name}` : [],
+    some('ruleEvaluation.escalated', alerts) ? 'Escalated' : [],
+    some('watchMatches', alerts) ? 'Watched' : [],
+    some('infrastructureMatches', alerts) ? 'Own Infrastructure' : [],
+    getRuleTags(alerts)
   );
 
 module.exports = assembleLookupResults;
@@ -12,21 +12,18 @@ const {
   toLower,
   some
 } = require('lodash/fp');
+const { classifyIpAddress, IP_ADDRESS_CLASSES } = require('./ipAddress');
 
 /**
  * Check if an IP address is a private IP address
+ * Any IPv4 or IPv6 special-purpose address (RFC1918, CGNAT, loopback, link-local,
+ * unique local, multicast, documentation, ...) is treated as private.
  * @param {string} ip - IP address to check
- * @returns {boolean} True if the IP is private (10.x.x.x, 172.16-31.x.x, 192.168.x.x)
+ * @returns {boolean} True if the IP is not globally routable
  */
 const isPrivateIP = (ip) => {
-  const parts = ip.split('.');
-  return (
-    parts[0] === '10' ||
-    (parts[0] === '172' &&
-      parseInt(parts[1], 10) >= 16 &&
-      parseInt(parts[1], 10) <= 31) ||
-    (parts[0] === '192' && parts[1] === '168')
-  );
+  const addressClass = classifyIpAddress(ip);
+  return addressClass !== null && addressClass !== IP_ADDRESS_CLASSES.PUBLIC;
 };
 
 /**
@@ -0,0 +1,254 @@
+const IPV4_REGEX = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const IPV6_GROUP_REGEX = /^[0-9a-f]{1,4}$/i;
+
+/** Address classes returned by classifyIpAddress (only PUBLIC is globally routable) */
+const IP_ADDRESS_CLASSES = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+  SHARED: 'shared',
+  LOOPBACK: 'loopback',
+  LINK_LOCAL: 'linkLocal',
+  UNIQUE_LOCAL: 'uniqueLocal',
+  UNSPECIFIED: 'unspecified',
+  MULTICAST: 'multicast',
+  BROADCAST: 'broadcast',
+  DOCUMENTATION: 'documentation',
+  BENCHMARKING: 'benchmarking',
+  RESERVED: 'reserved'
+};
+
+/**
+ * Parse an IPv4 address
+ * @param {string} value - Dotted-quad IPv4 address
+ * @returns {bigint|null} Address as a 32 bit integer, or null if invalid
+ */
+const parseIpv4 = (value) => {
+  const match = IPV4_REGEX.exec(value);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some((octet) => octet > 255)) return null;
+  return octets.reduce((agg, octet) => (agg << 8n) + BigInt(octet), 0n);
+};
+
+/**
+ * Parse an IPv6 address (compressed `::`, embedded IPv4 and zone ids are supported)
+ * @param {string} value - IPv6 address
+ * @returns {bigint|null} Address as a 128 bit integer, or null if invalid
+ */
+const parseIpv6 = (value) => {
+  let address = value.replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (!address.includes(':')) return null;
+
+  // Embedded IPv4 (e.g. ::ffff:192.0.2.1) is converted to two groups
+  const embeddedIpv4 = /(\d{1,3}(\.\d{1,3}){3})$/.exec(address);
+  if (embeddedIpv4) {
+    const ipv4 = parseIpv4(embeddedIpv4[1]);
+    if (ipv4 === null) return null;
+    address =
+      address.slice(0, embeddedIpv4.index) +
+      `${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missingGroups = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missingGroups < 1 : missingGroups !== 0) return null;
+
+  const groups = head.concat(new Array(missingGroups).fill('0'), tail);
+  if (!groups.every((group) => IPV6_GROUP_REGEX.test(group))) return null;
+  return groups.reduce((agg, group) => (agg << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * Format a 128 bit integer as a canonical (RFC 5952) IPv6 address
+ * @param {bigint} number - Address as a 128 bit integer
+ * @returns {string} Lowercase, zero-compressed IPv6 address
+ */
+const formatIpv6 = (number) => {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((number >> shift) & 0xffffn).toString(16));
+  }
+
+  // IPv4-mapped addresses keep the dotted-quad suffix (RFC 5952 section 5)
+  if (number >> 32n === 0xffffn) {
+    const octets = [24n, 16n, 8n, 0n].map((shift) => (number >> shift) & 0xffn);
+    return `::ffff:${octets.join('.')}`;
+  }
+
+  // Compress the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') length++;
+    if (length > bestLength && length > 1) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+  if (bestStart === -1) return groups.join(':');
+  return `${groups.slice(0, bestStart).join(':')}::${groups
+    .slice(bestStart + bestLength)
+    .join(':')}`;
+};
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * @param {string} value - IP address
+ * @returns {Object|null} Parsed address, or null if the value is not an IP address
+ * @returns {number} returns.version - 4 or 6
+ * @returns {bigint} returns.number - Address as an integer
+ * @returns {string} returns.normalized - Canonical string form of the address
+ */
+const parseIpAddress = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  const ipv4 = parseIpv4(trimmed);
+  if (ipv4 !== null) {
+    const octets = [24n, 16n, 8n, 0n].map((shift) => (ipv4 >> shift) & 0xffn);
+    return { version: 4, number: ipv4, normalized: octets.join('.') };
+  }
+
+  const ipv6 = parseIpv6(trimmed);
+  if (ipv6 !== null) {
+    return { version: 6, number: ipv6, normalized: formatIpv6(ipv6) };
+  }
+
+  return null;
+};
+
+/**
+ * Get the IPv4 address embedded in an IPv4-mapped IPv6 address (::ffff:a.b.c.d)
+ * @param {Object} parsed - Address parsed by parseIpAddress
+ * @returns {Object|null} Parsed IPv4 address, or null if the address is not IPv4-mapped
+ */
+const getMappedIpv4 = (parsed) => {
+  if (parsed.version !== 6 || parsed.number >> 32n !== 0xffffn) return null;
+  return parseIpAddress(parsed.normalized.slice('::ffff:'.length));
+};
+
+/**
+ * Normalize an IP address so different representations compare equal
+ * IPv6 addresses are compressed and lowercased, and IPv4-mapped IPv6 addresses
+ * normalize to their IPv4 address.
+ * @param {string} value - IP address
+ * @returns {string} Canonical address, or the trimmed lowercase value if it is not an IP
+ */
+const normalizeIpAddress = (value) => {
+  const parsed = parseIpAddress(value);
+  if (parsed) return (getMappedIpv4(parsed) || parsed).normalized;
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+};
+
+/**
+ * Parse a CIDR range (a single address is treated as a /32 or /128 range)
+ * @param {string} value - CIDR range, e.g. 10.0.0.0/8 or 2001:db8::/32
+ * @returns {Object|null} Parsed range, or null if the value is not a valid range
+ * @returns {number} returns.version - 4 or 6
+ * @returns {bigint} returns.network - Network address as an integer
+ * @returns {number} returns.prefixLength - Prefix length in bits
+ */
+const parseCidr = (value) => {
+  if (typeof value !== 'string') return null;
+  const [address, prefix, ...rest] = value.trim().split('/');
+  if (rest.length > 0) return null;
+
+  const parsed = parseIpAddress(address);
+  if (!parsed) return null;
+
+  const bits = parsed.version === 4 ? 32 : 128;
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+  const prefixLength = prefix === undefined ? bits : Number(prefix);
+  if (prefixLength > bits) return null;
+
+  const hostBits = BigInt(bits - prefixLength);
+  return {
+    version: parsed.version,
+    network: (parsed.number >> hostBits) << hostBits,
+    prefixLength
+  };
+};
+
+/**
+ * Check whether an IP address is inside a CIDR range
+ * @param {string|Object} ip - IP address, or an address parsed by parseIpAddress
+ * @param {Object} cidr - Range parsed by parseCidr
+ * @returns {boolean} True if the address is inside the range
+ */
+const isIpInCidr = (ip, cidr) => {
+  const parsed = typeof ip === 'string' ? parseIpAddress(ip) : ip;
+  if (!parsed || !cidr || parsed.version !== cidr.version) return false;
+  const hostBits = BigInt((parsed.version === 4 ? 32 : 128) - cidr.prefixLength);
+  return (parsed.number >> hostBits) << hostBits === cidr.network;
+};
+
+// IANA special-purpose registries (most specific range wins)
+const SPECIAL_PURPOSE_RANGES = [
+  ['0.0.0.0/8', IP_ADDRESS_CLASSES.UNSPECIFIED],
+  ['10.0.0.0/8', IP_ADDRESS_CLASSES.PRIVATE],
+  ['100.64.0.0/10', IP_ADDRESS_CLASSES.SHARED],
+  ['127.0.0.0/8', IP_ADDRESS_CLASSES.LOOPBACK],
+  ['169.254.0.0/16', IP_ADDRESS_CLASSES.LINK_LOCAL],
+  ['172.16.0.0/12', IP_ADDRESS_CLASSES.PRIVATE],
+  ['192.0.0.0/24', IP_ADDRESS_CLASSES.RESERVED],
+  ['192.0.2.0/24', IP_ADDRESS_CLASSES.DOCUMENTATION],
+  ['192.88.99.0/24', IP_ADDRESS_CLASSES.RESERVED],
+  ['192.168.0.0/16', IP_ADDRESS_CLASSES.PRIVATE],
+  ['198.18.0.0/15', IP_ADDRESS_CLASSES.BENCHMARKING],
+  ['198.51.100.0/24', IP_ADDRESS_CLASSES.DOCUMENTATION],
+  ['203.0.113.0/24', IP_ADDRESS_CLASSES.DOCUMENTATION],
+  ['224.0.0.0/4', IP_ADDRESS_CLASSES.MULTICAST],
+  ['240.0.0.0/4', IP_ADDRESS_CLASSES.RESERVED],
+  ['255.255.255.255/32', IP_ADDRESS_CLASSES.BROADCAST],
+  ['::/128', IP_ADDRESS_CLASSES.UNSPECIFIED],
+  ['::1/128', IP_ADDRESS_CLASSES.LOOPBACK],
+  ['64:ff9b:1::/48', IP_ADDRESS_CLASSES.PRIVATE],
+  ['100::/64', IP_ADDRESS_CLASSES.RESERVED],
+  ['2001::/23', IP_ADDRESS_CLASSES.RESERVED],
+  ['2001:db8::/32', IP_ADDRESS_CLASSES.DOCUMENTATION],
+  ['3fff::/20', IP_ADDRESS_CLASSES.DOCUMENTATION],
+  ['fc00::/7', IP_ADDRESS_CLASSES.UNIQUE_LOCAL],
+  ['fe80::/10', IP_ADDRESS_CLASSES.LINK_LOCAL],
+  ['fec0::/10', IP_ADDRESS_CLASSES.RESERVED],
+  ['ff00::/8', IP_ADDRESS_CLASSES.MULTICAST]
+]
+  .map(([range, addressClass]) => ({ cidr: parseCidr(range), addressClass }))
+  .sort((a, b) => b.cidr.prefixLength - a.cidr.prefixLength);
+
+/**
+ * Classify an IP address using the IANA IPv4 and IPv6 special-purpose address registries
+ * IPv4-mapped IPv6 addresses are classified by their IPv4 address.
+ * @param {string|Object} ip - IP address, or an address parsed by parseIpAddress
+ * @returns {string|null} One of IP_ADDRESS_CLASSES, or null if the value is not an IP
+ */
+const classifyIpAddress = (ip) => {
+  const parsed = typeof ip === 'string' ? parseIpAddress(ip) : ip;
+  if (!parsed) return null;
+
+  const address = getMappedIpv4(parsed) || parsed;
+  const specialRange = SPECIAL_PURPOSE_RANGES.find(({ cidr }) =>
+    isIpInCidr(address, cidr)
+  );
+  return specialRange ? specialRange.addressClass : IP_ADDRESS_CLASSES.PUBLIC;
+};
+
+/**
+ * Check whether an IP address is globally routable (not in a special-purpose range)
+ * @param {string|Object} ip - IP address, or an address parsed by parseIpAddress
+ * @returns {boolean} True if the address is public, false for special-purpose or invalid
+ */
+const isPublicIpAddress = (ip) => classifyIpAddress(ip) === IP_ADDRESS_CLASSES.PUBLIC;
+
+module.exports = {
+  IP_ADDRESS_CLASSES,
+  parseIpAddress,
+  normalizeIpAddress,
+  parseCidr,
+  isIpInCidr,
+  classifyIpAddress,
+  isPublicIpAddress
+};
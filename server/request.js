@@ -5,8 +5,13 @@ const {
   errors: { ApiRequestError }
 } = require('polarity-integration-utils');
 
-const { CAL_API_URL } = require('../constants');
+const { DEFAULT_RETRY_POLICY, REQUEST_TIMEOUT_MS } = require('../constants');
+const { getCalDownloadUrl } = require('./userOptions/settings');
+const config = require('../config/config.json');
+const postmanRequest = require('postman-request');
 const crypto = require('crypto');
+const fs = require('fs');
+const { PassThrough } = require('stream');
 const { URL } = require('url');
 
 // Single request instance for all HTTP requests
@@ -27,6 +32,42 @@ const request = new PolarityRequest({
   }
 });
 
+/**
+ * Check whether a request setting from config.json is set
+ * @param {*} value - Setting value
+ * @returns {boolean} True for non-empty strings
+ */
+const isConfigFieldSet = (value) => typeof value === 'string' && value.length > 0;
+
+// Request instance for streamed downloads, using the request settings from config.json
+const { ca, cert, key, passphrase, rejectUnauthorized, proxy } = config.request || {};
+const streamRequest = postmanRequest.defaults({
+  ...(isConfigFieldSet(cert) && { cert: fs.readFileSync(cert) }),
+  ...(isConfigFieldSet(key) && { key: fs.readFileSync(key) }),
+  ...(isConfigFieldSet(passphrase) && { passphrase }),
+  ...(isConfigFieldSet(ca) && { ca: fs.readFileSync(ca) }),
+  ...(isConfigFieldSet(proxy) && { proxy }),
+  ...(typeof rejectUnauthorized === 'boolean' && { rejectUnauthorized })
+});
+
+// Largest error response body kept for the error message
+const MAX_ERROR_BODY_BYTES = 64 * 1024;
+
+// Statuses worth retrying (timeouts, rate limits and transient server errors)
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+// Signature/credential failures; retrying with the same key will not help
+const FATAL_STATUS_CODES = [401, 403];
+// Network-level errors worth retrying
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
 
 function unixEpochTimeInSeconds() {
   return Math.floor(Date.now() / 1000);
@@ -42,20 +83,88 @@ const setLogger = (logger) => {
 };
 
 /**
- * Make an authenticated request to the Dataminr API
- * @param {Object} params - Request parameters
- * @param {Object} params.options - Configuration options
- * @param {Object} params.requestOptions - Additional request options (method, qs, headers, etc.)
- * @returns {Promise<Object>} Resolves with the response object
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Get the HTTP status code from a request error
+ * @param {Error} error - Request error
+ * @returns {number|undefined} Status code, if the error has one
+ */
+const getErrorStatusCode = (error) => {
+  const statusCode = error.statusCode || get('meta.statusCode', error) || error.status;
+  return statusCode !== undefined ? Number(statusCode) : undefined;
+};
+
+/**
+ * Get the Retry-After delay from a request error's response headers
+ * Supports both delta-seconds and HTTP-date values.
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds, or null if no valid Retry-After header
+ */
+const getRetryAfterMs = (error) => {
+  const headers =
+    get('meta.headers', error) ||
+    get('meta.response.headers', error) ||
+    get('headers', error) ||
+    {};
+  const retryAfter = headers['retry-after'] || headers['Retry-After'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const retryAt = new Date(retryAfter).getTime();
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+};
+
+/**
+ * Check whether a failed request may succeed if retried
+ * @param {Error} error - Request error
+ * @param {number|undefined} statusCode - HTTP status code of the failure
+ * @returns {boolean} True if the request should be retried
+ */
+const isRetryableError = (error, statusCode) => {
+  if (statusCode !== undefined && !Number.isNaN(statusCode)) {
+    return RETRYABLE_STATUS_CODES.includes(statusCode);
+  }
+  const errorCode = error.code || get('meta.code', error) || get('cause.code', error);
+  return RETRYABLE_ERROR_CODES.includes(errorCode);
+};
+
+/**
+ * Compute a jittered exponential backoff delay ("equal jitter")
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
  */
-const requestWithDefaults = async ({ options, ...requestOptions }) => {
+const getBackoffDelayMs = (attempt, policy) => {
+  const exponentialDelay = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * Math.pow(2, attempt - 1)
+  );
+  return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+};
+
+/**
+ * Build the URL and signed headers of a request to the CAL API
+ * The HMAC signature includes the current time, so each attempt is signed separately.
+ * @param {Object} options - Configuration options
+ * @param {Object} requestOptions - Additional request options (method, qs, headers, etc.)
+ * @returns {{ url: string, headers: Object }} Request URL and headers
+ */
+const signRequest = (options, requestOptions) => {
   const time = unixEpochTimeInSeconds();
   const authType = 'HELIX';
   const instanceId = options.clientId;
   const key = options.clientSecret;
 
-  // Build full request URL; override `since` from options when provided (for incremental polling)
-  const baseUrl = new URL(CAL_API_URL);
+  // Build full request URL from the configured CAL URL and owner; override `since` from
+  // options when provided (for incremental polling)
+  const baseUrl = new URL(getCalDownloadUrl(options));
   if (options.since !== undefined && options.since !== null) {
     baseUrl.searchParams.set('since', String(options.since));
   }
@@ -71,22 +180,203 @@ const requestWithDefaults = async ({ options, ...requestOptions }) => {
     .digest('base64');
   const authHeader = `${authType} ${instanceId}:${hmacSignatureInBase64}`;
 
-  request.userOptions = options;
-
-  return request.run({
-    ...requestOptions,
+  return {
     url: requestUrl,
     headers: {
       Accept: 'application/zip',
       Authorization: authHeader,
       Timestamp: time,
       ...(requestOptions.headers || {})
-    },
+    }
+  };
+};
+
+/**
+ * Sign and run a single request to the CAL API
+ * @param {Object} options - Configuration options
+ * @param {Object} requestOptions - Additional request options (method, qs, headers, etc.)
+ * @returns {Promise<Object>} Resolves with the response object
+ */
+const runSignedRequest = (options, requestOptions) => {
+  request.userOptions = options;
+
+  return request.run({
+    ...requestOptions,
+    ...signRequest(options, requestOptions),
+    timeout: REQUEST_TIMEOUT_MS,
     json: false,
     encoding: null
   });
 };
 
+/**
+ * Sign and run a single request to the CAL API, streaming the response body
+ * A successful response body is handed to `onResponseStream` as it arrives; the request
+ * is aborted as soon as the declared `content-length` or the bytes received exceed
+ * maxResponseBytes, or when onResponseStream stops reading early. Error responses are
+ * read (up to MAX_ERROR_BODY_BYTES) and rejected like PolarityRequest failures.
+ * @param {Object} options - Configuration options
+ * @param {Object} requestOptions - Additional request options (method, qs, headers, etc.)
+ * @param {Object} streamOptions - Streaming options
+ * @param {number} streamOptions.maxResponseBytes - Largest response body accepted
+ * @param {Function} streamOptions.onResponseStream - Async callback consuming the body
+ * stream; its result becomes the response body
+ * @returns {Promise<Object>} Resolves with the response object ({ statusCode, headers, body })
+ */
+const runSignedStreamRequest = (
+  options,
+  requestOptions,
+  { maxResponseBytes, onResponseStream }
+) =>
+  new Promise((resolve, reject) => {
+    const bodyStream = new PassThrough();
+    const errorChunks = [];
+    let receivedBytes = 0;
+    let response = null;
+    let ended = false;
+    let consuming = false;
+    let settled = false;
+
+    const settle = (error, value) => {
+      if (settled) return;
+      settled = true;
+      if (!ended) pendingRequest.abort();
+      if (error) {
+        // Without a consumer there is no one to handle an 'error' event on the body
+        bodyStream.destroy(consuming ? error : undefined);
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const failTooLarge = () =>
+      settle(new Error(`Download size exceeds the limit of ${maxResponseBytes} bytes`));
+
+    const pendingRequest = streamRequest({
+      ...requestOptions,
+      ...signRequest(options, requestOptions),
+      timeout: REQUEST_TIMEOUT_MS,
+      encoding: null
+    });
+
+    pendingRequest.on('response', (incomingResponse) => {
+      response = incomingResponse;
+      const contentLength = Number(incomingResponse.headers['content-length']);
+      if (contentLength > maxResponseBytes) return failTooLarge();
+      if (response.statusCode !== 200) return;
+
+      consuming = true;
+      onResponseStream(bodyStream).then(
+        (body) => {
+          const { statusCode, headers } = response;
+          settle(null, { statusCode, headers, body });
+        },
+        (error) => settle(error)
+      );
+    });
+    pendingRequest.on('data', (chunk) => {
+      if (settled) return;
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxResponseBytes) return failTooLarge();
+
+      if (response.statusCode !== 200) {
+        if (receivedBytes <= MAX_ERROR_BODY_BYTES) errorChunks.push(chunk);
+      } else if (!bodyStream.write(chunk)) {
+        // Hold the download while the consumer catches up
+        pendingRequest.pause();
+        bodyStream.once('drain', () => pendingRequest.resume());
+      }
+    });
+    pendingRequest.on('error', (error) => settle(error));
+    pendingRequest.on('end', () => {
+      ended = true;
+      if (response.statusCode === 200) return bodyStream.end();
+
+      const error = new Error(`Request failed with status code ${response.statusCode}`);
+      error.statusCode = response.statusCode;
+      error.meta = {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(errorChunks).toString('utf8')
+      };
+      settle(error);
+    });
+    // The consumer stopped reading (e.g. the alert it was looking for was found)
+    bodyStream.on('close', () => {
+      if (!ended && !settled) pendingRequest.abort();
+    });
+  });
+
+/**
+ * Make an authenticated request to the Dataminr API, retrying transient failures
+ * Each attempt times out after REQUEST_TIMEOUT_MS without a connection or data.
+ * Retryable failures (408, 429, 5xx and network errors) are retried with jittered exponential
+ * backoff, honouring the Retry-After header when present. 401/403 (signature or credential
+ * failures) and other statuses fail immediately. The outcome is attached as `retry` to the
+ * response, or to the error when the request ultimately fails.
+ * @param {Object} params - Request parameters
+ * @param {Object} params.options - Configuration options
+ * @param {Object} [params.retryPolicy] - Overrides for DEFAULT_RETRY_POLICY ({ maxRetries, baseDelayMs, maxDelayMs })
+ * @param {number} [params.maxResponseBytes] - With onResponseStream: largest response body
+ * accepted; larger downloads are aborted and not retried
+ * @param {Function} [params.onResponseStream] - When set, the response body is streamed to
+ * this async callback and its result becomes the response body. A failed attempt calls it
+ * again with the body of the retry.
+ * @param {Object} params.requestOptions - Additional request options (method, qs, headers, etc.)
+ * @returns {Promise<Object>} Resolves with the response object
+ */
+const requestWithDefaults = async ({
+  options,
+  retryPolicy,
+  maxResponseBytes,
+  onResponseStream,
+  ...requestOptions
+}) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(retryPolicy || {}) };
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const response = onResponseStream
+        ? await runSignedStreamRequest(options, requestOptions, {
+            maxResponseBytes,
+            onResponseStream
+          })
+        : await runSignedRequest(options, requestOptions);
+      response.retry = { attempts: attempt, outcome: 'success' };
+      return response;
+    } catch (error) {
+      const statusCode = getErrorStatusCode(error);
+      const retryAfterMs = getRetryAfterMs(error);
+      const retryable = isRetryableError(error, statusCode);
+      const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffDelayMs(attempt, policy);
+
+      if (!retryable || attempt > policy.maxRetries || delayMs > policy.maxDelayMs) {
+        const isFatal = FATAL_STATUS_CODES.includes(statusCode);
+        if (isFatal) {
+          error.message = `${error.message} | Request signature rejected. Check the CAL Instance Id, API Key and server clock.`;
+        }
+        error.retry = {
+          attempts: attempt,
+          outcome: retryable ? 'exhausted' : 'fatal',
+          statusCode,
+          retryAfterMs
+        };
+        throw error;
+      }
+
+      if (request.logger) {
+        request.logger.warn(
+          { statusCode, code: error.code, attempt, delayMs, retryAfterMs },
+          'Dataminr API request failed, retrying'
+        );
+      }
+      await sleep(delayMs);
+    }
+  }
+};
+
 /**
  * Execute multiple requests in parallel
  * @param {Array<Object>} requestsOptions - Array of request options, each optionally containing resultId
@@ -2,6 +2,7 @@ const Handlebars = require('handlebars');
 const fs = require('fs');
 const path = require('path');
 const { getAlertById } = require('./alerts/getAlerts');
+const { getWatchedSegments } = require('./alerts/watchTerms');
 const { TRIAL_MODE } = require('../constants');
 
 let templateCache = null;
@@ -880,7 +881,10 @@ async function processLinkedAlerts(alert, options, timezone) {
       );
     })
     .map(function (linkedAlertItem) {
-      return getAlertById(linkedAlertItem.parentAlertId);
+      // Cache and archive only; rendering never downloads the feed
+      return getAlertById(linkedAlertItem.parentAlertId).then(function (result) {
+        return result.alert;
+      });
     });
 
   // Fetch all linked alerts in parallel
@@ -950,6 +954,103 @@ function processReferenceTerms(alert) {
   return processed;
 }
 
+/**
+ * Flag the reference terms that matched a watch term
+ * @param {Array<Object>|null} referenceTerms - Processed reference terms ({ text })
+ * @param {Array<Object>} [watchMatches] - Watch term matches of the alert
+ * @returns {Array<Object>|null} Reference terms with a watched property
+ */
+function markWatchedReferenceTerms(referenceTerms, watchMatches) {
+  if (!referenceTerms || !Array.isArray(watchMatches)) {
+    return referenceTerms;
+  }
+  const watchedTexts = watchMatches
+    .filter(function (match) {
+      return match.field === 'referenceTerms';
+    })
+    .map(function (match) {
+      return match.text.toLowerCase();
+    });
+  return referenceTerms.map(function (term) {
+    const text = term.text.toLowerCase();
+    return Object.assign({}, term, {
+      watched: watchedTexts.some(function (watchedText) {
+        return text.includes(watchedText);
+      })
+    });
+  });
+}
+
+/**
+ * Get the unique watch terms an alert matched
+ * @param {Array<Object>} [watchMatches] - Watch term matches of the alert
+ * @returns {string} Comma separated watch terms, or empty string
+ */
+function formatWatchTermsValue(watchMatches) {
+  if (!Array.isArray(watchMatches) || watchMatches.length === 0) {
+    return '';
+  }
+  return Array.from(
+    new Set(
+      watchMatches.map(function (match) {
+        return match.term;
+      })
+    )
+  ).join(', ');
+}
+
+/**
+ * Format the own infrastructure an alert touched (matched CIDR ranges and ASNs)
+ * @param {Array<Object>} [infrastructureMatches] - Own infrastructure matches of the alert
+ * @returns {string} Formatted matches string, or empty string
+ */
+function formatInfrastructureMatchesValue(infrastructureMatches) {
+  if (!Array.isArray(infrastructureMatches) || infrastructureMatches.length === 0) {
+    return '';
+  }
+  return Array.from(
+    new Set(
+      infrastructureMatches.map(function (match) {
+        return match.type === 'asn'
+          ? match.asn + ' (' + match.value + ')'
+          : match.value + ' in ' + match.range;
+      })
+    )
+  ).join(', ');
+}
+
+/**
+ * Process the version history of an updated alert (newest version first)
+ * @param {Object} alert - Alert object with versionHistory (see alertVersions.js)
+ * @param {string} [timezone] - Optional timezone for timestamp formatting
+ * @returns {Array<Object>|null} Processed versions with their formatted changes, or null
+ * if the alert was never updated
+ */
+function processVersionHistory(alert, timezone) {
+  if (!Array.isArray(alert.versionHistory) || alert.versionHistory.length === 0) {
+    return null;
+  }
+
+  return alert.versionHistory
+    .slice()
+    .reverse()
+    .map(function (entry) {
+      return {
+        version: entry.version,
+        updatedAtFormatted: formatTimestampValue(entry.updatedAt, timezone),
+        changes: (entry.changes || []).map(function (change) {
+          return {
+            label: change.label,
+            before: change.before || '',
+            after: change.after || '',
+            addedFormatted: (change.added || []).join(' | '),
+            removedFormatted: (change.removed || []).join(' | ')
+          };
+        })
+      };
+    });
+}
+
 /**
  * Extract timezone from options (payload, request headers, or options object)
  * @param {Object} options - Options object that may contain timezone
@@ -1032,7 +1133,20 @@ async function processAlertData(alert, options) {
     publicPost: publicPost,
     publicPostTimestampFormatted: publicPostTimestampFormatted,
     publicPostChannelsFormatted: publicPostChannelsFormatted,
-    alertReferenceTerms: processReferenceTerms(alert),
+    alertReferenceTerms: markWatchedReferenceTerms(
+      processReferenceTerms(alert),
+      alert.watchMatches
+    ),
+    headlineSegments: getWatchedSegments(alert.headline, alert.watchMatches, 'headline'),
+    publicPostTextSegments: publicPost
+      ? getWatchedSegments(publicPost.text, alert.watchMatches, 'publicPost')
+      : null,
+    watchMatches: alert.watchMatches || null,
+    watchTermsFormatted: formatWatchTermsValue(alert.watchMatches),
+    infrastructureMatches: alert.infrastructureMatches || null,
+    infrastructureMatchesFormatted: formatInfrastructureMatchesValue(
+      alert.infrastructureMatches
+    ),
     listsMatched: alert.listsMatched || null,
     listsMatchedFormatted: alert.listsMatched
       ? formatListsMatchedValue(alert.listsMatched)
@@ -1049,6 +1163,20 @@ async function processAlertData(alert, options) {
     alertTopics: alert.alertTopics || null,
     alertTopicsFormatted: alert.alertTopics ? formatTopicsValue(alert.alertTopics) : '',
     metadata: processMetadata(alert),
+    ruleEvaluation: alert.ruleEvaluation || null,
+    ruleMatches: alert.ruleEvaluation
+      ? alert.ruleEvaluation.matchedRules.map((rule) => ({
+          name: rule.name,
+          reasonsFormatted: rule.reasons.join('; ')
+        }))
+      : null,
+    ruleTagsFormatted:
+      alert.ruleEvaluation && alert.ruleEvaluation.tags.length > 0
+        ? alert.ruleEvaluation.tags.join(', ')
+        : '',
+    version: alert.version || 1,
+    updatedAtFormatted: formatTimestampValue(alert.updatedAt, timezone),
+    versionHistory: processVersionHistory(alert, timezone),
     trialAlert: TRIAL_MODE
   };
 
@@ -1091,6 +1219,125 @@ async function processAlertData(alert, options) {
   return processed;
 }
 
+/**
+ * Process a CVE lookup summary for the vulnerability view in block.hbs
+ * @param {Object|null} summary - Summary from getVulnerabilitySummary
+ * @param {Object} options - Options object (used for the timezone)
+ * @returns {Object|null} Processed vulnerability summary or null
+ */
+function processVulnerabilitySummary(summary, options) {
+  if (!summary) {
+    return null;
+  }
+
+  const timezone = extractTimezone(options);
+
+  return {
+    id: summary.id,
+    alertCount: summary.alertCount,
+    alertCountFormatted:
+      summary.alertCount + (summary.alertCount === 1 ? ' alert' : ' alerts'),
+    maxCvss: summary.maxCvss,
+    maxEpssFormatted: summary.maxEpss !== null ? summary.maxEpss.toFixed(4) : '',
+    exploitableFormatted:
+      summary.exploitable === null ? '' : summary.exploitable ? 'Yes' : 'No',
+    firstSeenFormatted: formatTimestampValue(summary.firstSeen, timezone),
+    lastSeenFormatted: formatTimestampValue(summary.lastSeen, timezone),
+    products: limitListToFour(summary.products, 'products'),
+    productsFormatted: summary.products.join(', '),
+    exploitPocLinks: limitListToFour(summary.exploitPocLinks, 'links'),
+    timeline: summary.timeline.map(function (entry) {
+      return {
+        alertId: entry.alertId,
+        alertType: entry.alertType,
+        alertTypeNormalized: normalizeAlertTypeValue(entry.alertType),
+        headline: entry.headline,
+        cvss: entry.cvss,
+        timestampFormatted: formatTimestampValue(entry.alertTimestamp, timezone)
+      };
+    })
+  };
+}
+
+/**
+ * Process a hash lookup summary for the hash view in block.hbs
+ * @param {Object|null} summary - Summary from getHashSummary
+ * @param {Object} options - Options object (used for the timezone)
+ * @returns {Object|null} Processed hash summary or null
+ */
+function processHashSummary(summary, options) {
+  if (!summary) {
+    return null;
+  }
+
+  const timezone = extractTimezone(options);
+
+  return {
+    value: summary.value,
+    algorithm: summary.algorithm,
+    reportedTypesFormatted: summary.reportedTypes.join(', '),
+    malwareFormatted: summary.malware.join(', '),
+    alertCountFormatted:
+      summary.alertCount + (summary.alertCount === 1 ? ' alert' : ' alerts'),
+    firstSeenFormatted: formatTimestampValue(summary.firstSeen, timezone),
+    lastSeenFormatted: formatTimestampValue(summary.lastSeen, timezone),
+    alerts: summary.alerts.map(function (entry) {
+      return {
+        alertId: entry.alertId,
+        alertType: entry.alertType,
+        alertTypeNormalized: normalizeAlertTypeValue(entry.alertType),
+        headline: entry.headline,
+        sourceFormatted: entry.source === 'metadata' ? 'Hash metadata' : 'Reference term',
+        timestampFormatted: formatTimestampValue(entry.alertTimestamp, timezone)
+      };
+    })
+  };
+}
+
+/**
+ * Get the display label of a threat kind
+ * @param {string} kind - Threat kind (threatActor or malware)
+ * @returns {string} Display label
+ */
+function formatThreatKindValue(kind) {
+  return kind === 'malware' ? 'Malware' : 'Threat Actor';
+}
+
+/**
+ * Process a threat actor or malware profile for the profile view in block.hbs
+ * @param {Object|null} profile - Profile from getThreatProfile
+ * @param {Object} options - Options object (used for the timezone)
+ * @returns {Object|null} Processed threat profile or null
+ */
+function processThreatProfile(profile, options) {
+  if (!profile) {
+    return null;
+  }
+
+  const timezone = extractTimezone(options);
+
+  return {
+    name: profile.name,
+    kind: profile.kind,
+    kindLabel: formatThreatKindValue(profile.kind),
+    aliasesFormatted: profile.aliases.join(', '),
+    countriesOfOriginFormatted: profile.countriesOfOrigin.join(', '),
+    ttps: profile.ttps,
+    summary: profile.summary,
+    relatedThreats: profile.relatedThreats.map(function (related) {
+      return {
+        name: related.name,
+        kindLabel: formatThreatKindValue(related.kind),
+        alertCount: related.alertCount
+      };
+    }),
+    alertCountFormatted:
+      profile.alertCount + (profile.alertCount === 1 ? ' alert' : ' alerts'),
+    firstSeenFormatted: formatTimestampValue(profile.firstSeen, timezone),
+    lastSeenFormatted: formatTimestampValue(profile.lastSeen, timezone)
+  };
+}
+
 /**
  * Render alert detail template with alert data
  * @param {Object} alert - Alert object
@@ -1124,5 +1371,8 @@ function renderAlertNotification(name) {
 module.exports = {
   renderAlertDetail,
   renderAlertNotification,
-  processAlertData
+  processAlertData,
+  processVulnerabilitySummary,
+  processHashSummary,
+  processThreatProfile
 };
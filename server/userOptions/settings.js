@@ -0,0 +1,186 @@
+const {
+  POLL_INTERVAL_MS,
+  DEFAULT_ALERT_TYPES_TO_WATCH,
+  ALLOWED_ALERT_TYPES,
+  CACHE_MAX_AGE_MS,
+  CACHE_MAX_ITEMS,
+  ARCHIVE_RETENTION_DAYS,
+  ZIP_MAX_COMPRESSED_BYTES,
+  ZIP_MAX_UNCOMPRESSED_BYTES,
+  ZIP_MAX_ENTRIES,
+  OPTION_BOUNDS,
+  DEFAULT_CAL_URL,
+  DEFAULT_CAL_OWNER,
+  CAL_DOWNLOAD_PATH
+} = require('../../constants');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Read a numeric option, falling back to a default when missing or out of bounds
+ * @param {*} value - Option value
+ * @param {Object} bounds - Bounds object with min and max
+ * @param {number} fallback - Value to use when the option is missing or invalid
+ * @returns {number} Option value or fallback
+ */
+const getBoundedNumber = (value, { min, max }, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+};
+
+/**
+ * Normalize an alert type option value (string or { value, display } object)
+ * @param {string|Object} type - Alert type option value
+ * @returns {string} Lowercase alert type name
+ */
+const normalizeAlertType = (type) =>
+  type && typeof type === 'object' && type.value
+    ? String(type.value).toLowerCase()
+    : String(type).toLowerCase();
+
+/**
+ * Get the alert types to watch from options
+ * @param {Object} [options] - Configuration options
+ * @returns {Array<string>} Lowercase alert type names (defaults to DEFAULT_ALERT_TYPES_TO_WATCH)
+ */
+const getAlertTypesToWatch = (options) => {
+  const configuredTypes = options && options.alertTypesToWatch;
+  const types =
+    Array.isArray(configuredTypes) && configuredTypes.length > 0
+      ? configuredTypes
+      : DEFAULT_ALERT_TYPES_TO_WATCH;
+
+  return types
+    .map(normalizeAlertType)
+    .filter((type) => ALLOWED_ALERT_TYPES.includes(type));
+};
+
+/**
+ * Get the server polling interval from options
+ * @param {Object} [options] - Configuration options
+ * @returns {number} Polling interval in milliseconds (defaults to POLL_INTERVAL_MS)
+ */
+const getPollIntervalMs = (options) => {
+  const minutes = getBoundedNumber(
+    options && options.pollIntervalMinutes,
+    OPTION_BOUNDS.pollIntervalMinutes,
+    null
+  );
+  return minutes === null ? POLL_INTERVAL_MS : minutes * MS_PER_MINUTE;
+};
+
+/**
+ * Get the maximum age of cached alerts from options
+ * @param {Object} [options] - Configuration options
+ * @returns {number} Maximum alert age in milliseconds (defaults to CACHE_MAX_AGE_MS)
+ */
+const getCacheMaxAgeMs = (options) => {
+  const hours = getBoundedNumber(
+    options && options.cacheMaxAgeHours,
+    OPTION_BOUNDS.cacheMaxAgeHours,
+    null
+  );
+  return hours === null ? CACHE_MAX_AGE_MS : hours * MS_PER_HOUR;
+};
+
+/**
+ * Get the maximum number of cached alerts from options
+ * @param {Object} [options] - Configuration options
+ * @returns {number} Maximum number of cached alerts (defaults to CACHE_MAX_ITEMS)
+ */
+const getCacheMaxItems = (options) =>
+  Math.floor(
+    getBoundedNumber(
+      options && options.cacheMaxItems,
+      OPTION_BOUNDS.cacheMaxItems,
+      CACHE_MAX_ITEMS
+    )
+  );
+
+/**
+ * Get the retention period of the alert archive from options
+ * @param {Object} [options] - Configuration options
+ * @returns {number} Retention period in milliseconds (0 disables the archive; defaults to
+ * ARCHIVE_RETENTION_DAYS)
+ */
+const getArchiveRetentionMs = (options) =>
+  Math.floor(
+    getBoundedNumber(
+      options && options.archiveRetentionDays,
+      OPTION_BOUNDS.archiveRetentionDays,
+      ARCHIVE_RETENTION_DAYS
+    )
+  ) * MS_PER_DAY;
+
+/**
+ * Get the zip ingestion limits from options
+ * Values are checked by validateOptions; the defaults from constants.js apply only when an
+ * option is left empty.
+ * @param {Object} [options] - Configuration options
+ * @returns {{ maxCompressedBytes: number, maxUncompressedBytes: number, maxEntries: number }} Limits
+ */
+const getZipLimits = (options) => {
+  const downloadSizeMb = getBoundedNumber(
+    options && options.maxDownloadSizeMb,
+    OPTION_BOUNDS.maxDownloadSizeMb,
+    null
+  );
+  const uncompressedSizeMb = getBoundedNumber(
+    options && options.maxUncompressedSizeMb,
+    OPTION_BOUNDS.maxUncompressedSizeMb,
+    null
+  );
+
+  return {
+    maxCompressedBytes:
+      downloadSizeMb === null ? ZIP_MAX_COMPRESSED_BYTES : downloadSizeMb * BYTES_PER_MB,
+    maxUncompressedBytes:
+      uncompressedSizeMb === null
+        ? ZIP_MAX_UNCOMPRESSED_BYTES
+        : uncompressedSizeMb * BYTES_PER_MB,
+    maxEntries: Math.floor(
+      getBoundedNumber(
+        options && options.maxZipEntries,
+        OPTION_BOUNDS.maxZipEntries,
+        ZIP_MAX_ENTRIES
+      )
+    )
+  };
+};
+
+/**
+ * Get the CAL download URL from options
+ * @param {Object} [options] - Configuration options (url, owner)
+ * @returns {string} Download URL with `since=0` and the `owner` query parameter
+ */
+const getCalDownloadUrl = (options) => {
+  const baseUrl =
+    options && typeof options.url === 'string' && options.url.trim()
+      ? options.url.trim().replace(/\/+$/, '')
+      : DEFAULT_CAL_URL;
+  const configuredOwner =
+    options && options.owner !== undefined && options.owner !== null
+      ? String(options.owner).trim()
+      : '';
+  const owner = configuredOwner || DEFAULT_CAL_OWNER;
+
+  const downloadUrl = new URL(`${baseUrl}${CAL_DOWNLOAD_PATH}`);
+  downloadUrl.searchParams.set('since', '0');
+  downloadUrl.searchParams.set('owner', owner);
+  return downloadUrl.toString();
+};
+
+module.exports = {
+  normalizeAlertType,
+  getCalDownloadUrl,
+  getAlertTypesToWatch,
+  getPollIntervalMs,
+  getCacheMaxAgeMs,
+  getCacheMaxItems,
+  getArchiveRetentionMs,
+  getZipLimits
+};
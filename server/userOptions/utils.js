@@ -66,7 +66,65 @@ const validateUrlOption = (options, urlKey = 'url') => {
   return allValidationErrors;
 };
 
+/**
+ * Validate that a numeric option is a whole number within bounds
+ * Empty values are allowed (the default is used).
+ * @param {Object} options - Options object to validate
+ * @param {string} optionKey - Key name of the numeric option
+ * @param {Object} bounds - Bounds object with min and max
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateNumberOption = (options, optionKey, { min, max }) => {
+  const value = get([optionKey, 'value'], options);
+
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    return [
+      {
+        key: optionKey,
+        message: `Must be a whole number between ${min} and ${max}`
+      }
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * Validate a multi-select option holding alert types
+ * @param {Object} options - Options object to validate
+ * @param {string} optionKey - Key name of the alert types option
+ * @param {Array<string>} allowedAlertTypes - Allowed alert type names (lowercase)
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateAlertTypesOption = (options, optionKey, allowedAlertTypes) => {
+  const value = get([optionKey, 'value'], options);
+
+  if (!Array.isArray(value) || value.length === 0) {
+    return [{ key: optionKey, message: 'At least one alert type must be selected' }];
+  }
+
+  const invalidTypes = value
+    .map((type) => (type && typeof type === 'object' ? type.value : type))
+    .filter((type) => !allowedAlertTypes.includes(String(type).toLowerCase()));
+
+  return invalidTypes.length > 0
+    ? [
+        {
+          key: optionKey,
+          message: `Unsupported alert type(s): ${invalidTypes.join(', ')}`
+        }
+      ]
+    : [];
+};
+
 module.exports = {
   validateStringOptions,
-  validateUrlOption
+  validateUrlOption,
+  validateNumberOption,
+  validateAlertTypesOption
 };
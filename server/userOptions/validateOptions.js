@@ -1,4 +1,78 @@
-const { validateStringOptions, validateUrlOption } = require('./utils');
+const {
+  validateStringOptions,
+  validateUrlOption,
+  validateNumberOption,
+  validateAlertTypesOption
+} = require('./utils');
+const verifyCredentials = require('./verifyCredentials');
+const { parseAlertRules } = require('../alerts/alertRules');
+const { parseWatchTerms } = require('../alerts/watchTerms');
+const { parseOwnInfrastructure } = require('../alerts/ownInfrastructure');
+const { parseBackfillSince } = require('../alerts/backfillAlerts');
+const { ALLOWED_ALERT_TYPES, OPTION_BOUNDS } = require('../../constants');
+
+/**
+ * Validate the CAL publication owner option (numeric id; empty uses the default owner)
+ * @param {Object} options - Options object to validate
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateOwnerOption = (options) => {
+  const owner = options.owner && options.owner.value;
+  if (owner === undefined || owner === null || String(owner).trim() === '') {
+    return [];
+  }
+  return /^\d+$/.test(String(owner).trim())
+    ? []
+    : [{ key: 'owner', message: 'CAL Owner Id must be numeric' }];
+};
+
+/**
+ * Validate the alert rules option (JSON array of rules; empty means no rules)
+ * @param {Object} options - Options object to validate
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateAlertRulesOption = (options) => {
+  const rulesText = options.alertRules && options.alertRules.value;
+  const { errors } = parseAlertRules(rulesText);
+  return errors.map((message) => ({ key: 'alertRules', message }));
+};
+
+/**
+ * Validate the watch terms option (regex terms must compile)
+ * @param {Object} options - Options object to validate
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateWatchTermsOption = (options) => {
+  const termsText = options.watchTerms && options.watchTerms.value;
+  const { errors } = parseWatchTerms(termsText);
+  return errors.map((message) => ({ key: 'watchTerms', message }));
+};
+
+/**
+ * Validate the own infrastructure option (CIDR ranges, IP addresses and ASNs)
+ * @param {Object} options - Options object to validate
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateOwnInfrastructureOption = (options) => {
+  const infrastructureText = options.ownInfrastructure && options.ownInfrastructure.value;
+  const { errors } = parseOwnInfrastructure(infrastructureText);
+  return errors.map((message) => ({ key: 'ownInfrastructure', message }));
+};
+
+/**
+ * Validate the backfill cursor option (whole number; empty means no backfill)
+ * @param {Object} options - Options object to validate
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const validateBackfillSinceOption = (options) => {
+  const since = options.backfillSince && options.backfillSince.value;
+  if (since === undefined || since === null || String(since).trim() === '') {
+    return [];
+  }
+  return parseBackfillSince(since) === null
+    ? [{ key: 'backfillSince', message: 'Backfill cursor must be a whole number' }]
+    : [];
+};
 
 /**
  * Validate integration options
@@ -23,9 +97,31 @@ const validateOptions = async (options, callback) => {
     const errors = validateStringOptions(
       stringOptionsErrorMessages,
       options
+    ).concat(
+      validateUrlOption(options, 'url'),
+      validateOwnerOption(options),
+      validateNumberOption(options, 'pollIntervalMinutes', OPTION_BOUNDS.pollIntervalMinutes),
+      validateNumberOption(options, 'cacheMaxAgeHours', OPTION_BOUNDS.cacheMaxAgeHours),
+      validateNumberOption(options, 'cacheMaxItems', OPTION_BOUNDS.cacheMaxItems),
+      validateNumberOption(options, 'archiveRetentionDays', OPTION_BOUNDS.archiveRetentionDays),
+      validateNumberOption(options, 'maxDownloadSizeMb', OPTION_BOUNDS.maxDownloadSizeMb),
+      validateNumberOption(
+        options,
+        'maxUncompressedSizeMb',
+        OPTION_BOUNDS.maxUncompressedSizeMb
+      ),
+      validateNumberOption(options, 'maxZipEntries', OPTION_BOUNDS.maxZipEntries),
+      validateBackfillSinceOption(options),
+      validateAlertTypesOption(options, 'alertTypesToWatch', ALLOWED_ALERT_TYPES),
+      validateWatchTermsOption(options),
+      validateOwnInfrastructureOption(options),
+      validateAlertRulesOption(options)
     );
 
-    callback(null, errors);
+    // Only send the signed test request once the options themselves are valid
+    const credentialErrors = errors.length === 0 ? await verifyCredentials(options) : [];
+
+    callback(null, errors.concat(credentialErrors));
   } catch (error) {
     callback(error);
   }
@@ -0,0 +1,151 @@
+const { get, mapValues } = require('lodash/fp');
+
+const { requestWithDefaults } = require('../request');
+const {
+  CREDENTIAL_PROBE_SINCE,
+  CREDENTIAL_PROBE_TIMEOUT_MS,
+  CLOCK_SKEW_TOLERANCE_MS
+} = require('../../constants');
+
+// Statuses that mean the signed request was accepted (the probe cursor has no data)
+const ACCEPTED_STATUS_CODES = [200, 204];
+const AUTH_FAILURE_STATUS_CODES = [401, 403];
+
+/**
+ * Get the error message from a failed response body (Buffer, string or object)
+ * @param {Error} error - Request error
+ * @returns {string} Lowercase error message from the body, or empty string
+ */
+const getErrorBodyMessage = (error) => {
+  let body = get('meta.body', error);
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (_) {
+      return body.toLowerCase();
+    }
+  }
+  const message = body && (body.message || body.errorMessage || body.error);
+  return typeof message === 'string' ? message.toLowerCase() : '';
+};
+
+/**
+ * Get the difference between the CAL server clock and the local clock
+ * @param {Error} error - Request error (response headers are read from error.meta)
+ * @returns {number|null} Server time minus local time in milliseconds, or null if unknown
+ */
+const getClockSkewMs = (error) => {
+  const headers = get('meta.headers', error) || get('meta.response.headers', error) || {};
+  const serverDate = headers.date || headers.Date;
+  if (!serverDate) return null;
+  const serverTime = new Date(serverDate).getTime();
+  return Number.isNaN(serverTime) ? null : serverTime - Date.now();
+};
+
+/**
+ * Map an authentication failure to per-field validation errors
+ * @param {Error} error - Request error with a 401/403 status
+ * @returns {Array<Object>} Array of validation error objects with key and message properties
+ */
+const getAuthFailureErrors = (error) => {
+  const clockSkewMs = getClockSkewMs(error);
+  const bodyMessage = getErrorBodyMessage(error);
+
+  if (
+    (clockSkewMs !== null && Math.abs(clockSkewMs) > CLOCK_SKEW_TOLERANCE_MS) ||
+    /timestamp|expired|clock|skew/.test(bodyMessage)
+  ) {
+    const skewText =
+      clockSkewMs !== null
+        ? ` The Polarity server clock differs from CAL by ${Math.round(
+            Math.abs(clockSkewMs) / 1000
+          )} seconds.`
+        : '';
+    return [
+      {
+        key: 'clientSecret',
+        message: `CAL rejected the request Timestamp header.${skewText} Synchronize the Polarity server clock (e.g. with NTP).`
+      }
+    ];
+  }
+
+  if (/signature|hmac|secret/.test(bodyMessage)) {
+    return [
+      {
+        key: 'clientSecret',
+        message: 'CAL rejected the request signature. Check the API Key.'
+      }
+    ];
+  }
+
+  if (/instance|not found|unknown/.test(bodyMessage)) {
+    return [{ key: 'clientId', message: 'CAL did not recognize this Instance Id' }];
+  }
+
+  return [
+    { key: 'clientId', message: 'Authentication failed. Check the Instance Id.' },
+    {
+      key: 'clientSecret',
+      message: 'Authentication failed. Check the API Key for this Instance Id.'
+    }
+  ];
+};
+
+/**
+ * Verify the CAL credentials by sending a signed probe request.
+ * The probe asks for alerts after a `since` cursor beyond any published entry so no
+ * alert data is downloaded.
+ * @param {Object} options - Options object from validateOptions ({ key: { value } })
+ * @returns {Promise<Array<Object>>} Array of validation error objects with key and message properties
+ */
+const verifyCredentials = async (options) => {
+  const flatOptions = mapValues(get('value'), options);
+
+  try {
+    await requestWithDefaults({
+      options: { ...flatOptions, since: CREDENTIAL_PROBE_SINCE },
+      method: 'GET',
+      timeout: CREDENTIAL_PROBE_TIMEOUT_MS,
+      retryPolicy: { maxRetries: 0 }
+    });
+    return [];
+  } catch (error) {
+    const statusCode = error.retry && error.retry.statusCode;
+
+    if (ACCEPTED_STATUS_CODES.includes(statusCode)) {
+      return [];
+    }
+
+    if (AUTH_FAILURE_STATUS_CODES.includes(statusCode)) {
+      return getAuthFailureErrors(error);
+    }
+
+    if (statusCode === 404) {
+      return [
+        {
+          key: 'url',
+          message: 'The CAL download endpoint was not found at this URL. Check the CAL URL.'
+        }
+      ];
+    }
+
+    if (statusCode === undefined || Number.isNaN(statusCode)) {
+      return [
+        {
+          key: 'url',
+          message: `Unable to reach the CAL host (${error.code || error.message}). Check the CAL URL and network/proxy settings.`
+        }
+      ];
+    }
+
+    return [
+      {
+        key: 'url',
+        message: `CAL returned an unexpected status (${statusCode}) while verifying credentials.`
+      }
+    ];
+  }
+};
+
+module.exports = verifyCredentials;
@@ -0,0 +1,198 @@
+const { URL } = require('url');
+const { parseIpAddress, normalizeIpAddress } = require('./ipAddress');
+
+const DOMAIN_REGEX = /^([a-z0-9_]([a-z0-9_-]*[a-z0-9])?\.)+(xn--[a-z0-9-]+|[a-z]{2,})$/;
+const SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:\/\//;
+
+/**
+ * Second level labels used under country code TLDs (e.g. `co.uk`, `com.au`)
+ * A full public suffix list is not shipped; a domain under a country code TLD whose
+ * second label is one of these has a three label registrable domain.
+ */
+const COUNTRY_SECOND_LEVEL_LABELS = new Set([
+  'ac',
+  'co',
+  'com',
+  'edu',
+  'gob',
+  'gov',
+  'govt',
+  'gv',
+  'ltd',
+  'mil',
+  'ne',
+  'net',
+  'nic',
+  'nhs',
+  'nom',
+  'or',
+  'org',
+  'plc',
+  'sch'
+]);
+
+// Query parameters that only track clicks and never identify the resource (along with
+// any `utm_` parameter)
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi',
+  'mkt_tok'
+]);
+
+/**
+ * Refang a defanged indicator (e.g. `hxxps://evil[.]example[.]com`)
+ * @param {*} value - Possibly defanged URL, domain or IP address
+ * @returns {string} Refanged value, or empty string for non-strings
+ */
+const refang = (value) => {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .replace(/^h(?:xx|\*\*)p(s?)(?=[:[])/i, 'http$1')
+    .replace(/^fxp(?=[:[])/i, 'ftp')
+    .replace(/\[:\/\/\]|\[:\]\/\//g, '://')
+    .replace(/\[:\]/g, ':')
+    .replace(/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\}/gi, '.')
+    .replace(/\[\/\]/g, '/')
+    .replace(/\[@\]|\[at\]/gi, '@');
+};
+
+/**
+ * Normalize a domain name (refanged, lowercase, without trailing dot)
+ * @param {*} value - Possibly defanged domain name
+ * @returns {string|null} Normalized domain, or null if the value is not a domain name
+ */
+const normalizeDomain = (value) => {
+  const domain = refang(value).toLowerCase().replace(/\.$/, '');
+  return DOMAIN_REGEX.test(domain) ? domain : null;
+};
+
+/**
+ * Get the registrable domain of a domain name (the domain a registrant controls, e.g.
+ * `example.com` for `evil.example.com` and `example.co.uk` for `www.example.co.uk`)
+ * @param {*} value - Domain name
+ * @returns {string|null} Registrable domain, or null if the value is not a domain name
+ */
+const getRegistrableDomain = (value) => {
+  const domain = normalizeDomain(value);
+  if (!domain) return null;
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const suffixLength =
+    tld.length === 2 && labels.length > 2 && COUNTRY_SECOND_LEVEL_LABELS.has(secondLevel)
+      ? 2
+      : 1;
+  if (labels.length <= suffixLength) return null;
+  return labels.slice(-(suffixLength + 1)).join('.');
+};
+
+/**
+ * Get a domain name and its parent domains down to the registrable domain
+ * @param {*} value - Domain name
+ * @returns {Array<string>} Domains, most specific first (empty if not a domain name)
+ */
+const getDomainHierarchy = (value) => {
+  const domain = normalizeDomain(value);
+  const registrableDomain = getRegistrableDomain(domain);
+  if (!registrableDomain) return [];
+
+  const labels = domain.split('.');
+  const registrableLength = registrableDomain.split('.').length;
+  const domains = [];
+  for (let index = 0; labels.length - index >= registrableLength; index++) {
+    domains.push(labels.slice(index).join('.'));
+  }
+  return domains;
+};
+
+/**
+ * Parse a possibly defanged URL (URLs without a scheme are parsed as http)
+ * @param {*} value - URL string
+ * @returns {URL|null} Parsed URL, or null if the value is not a URL with a host
+ */
+const parseUrl = (value) => {
+  const refanged = refang(value);
+  if (!refanged || /\s/.test(refanged)) return null;
+  try {
+    const url = new URL(
+      SCHEME_REGEX.test(refanged.toLowerCase()) ? refanged : `http://${refanged}`
+    );
+    return url.hostname ? url : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a value is written as a URL rather than a bare word or host
+ * The value needs a scheme (`https://...`) or a domain or IP address host followed by a
+ * path (`evil.example.com/payload`).
+ * @param {*} value - Possibly defanged value
+ * @returns {boolean} True if the value has a scheme or a path
+ */
+const hasUrlForm = (value) => {
+  const refanged = refang(value).toLowerCase();
+  if (SCHEME_REGEX.test(refanged)) return true;
+
+  const slashIndex = refanged.indexOf('/');
+  if (slashIndex <= 0) return false;
+  const host = refanged.slice(0, slashIndex).replace(/:\d+$/, '');
+  return Boolean(normalizeDomain(host) || parseIpAddress(host));
+};
+
+/**
+ * Get the hostname of a possibly defanged URL
+ * IP address hosts are normalized (brackets removed, IPv6 in RFC 5952 form).
+ * @param {*} value - URL string
+ * @returns {string} Lowercase hostname, or empty string if it cannot be parsed
+ */
+const getUrlHostname = (value) => {
+  const url = parseUrl(value);
+  if (!url) return '';
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return parseIpAddress(hostname) ? normalizeIpAddress(hostname) : hostname;
+};
+
+/**
+ * Normalize a URL for comparison
+ * The URL is refanged and lowercased; the scheme, default ports, fragment, tracking
+ * parameters and trailing slash are dropped so variants of the same link compare equal.
+ * @param {*} value - Possibly defanged URL
+ * @returns {string|null} Normalized URL (e.g. `evil.example.com/path?id=1`), or null if
+ * the value is not a URL
+ */
+const normalizeUrl = (value) => {
+  const url = parseUrl(typeof value === 'string' ? value.toLowerCase() : value);
+  if (!url) return null;
+
+  Array.from(url.searchParams.keys())
+    .filter((key) => key.startsWith('utm_') || TRACKING_PARAMS.has(key))
+    .forEach((key) => url.searchParams.delete(key));
+
+  const path = url.pathname.replace(/\/+$/, '');
+  return `${url.host}${path}${url.search}`;
+};
+
+module.exports = {
+  refang,
+  normalizeDomain,
+  getRegistrableDomain,
+  getDomainHierarchy,
+  getUrlHostname,
+  hasUrlForm,
+  normalizeUrl
+};